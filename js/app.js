@@ -12,14 +12,38 @@
         nodeRadius: 8,
         nodeSpacingX: 160,
         nodeSpacingY: 80,
-        traderColors: {
-            'Shani': '#39c5cf',
-            'Celeste': '#a371f7',
-            'Apollo': '#db6d28',
-            'Tian Wen': '#3fb950',
-            'Lance': '#f85149',
-            '': '#d29922'
-        }
+        progressKey: 'arcraiders.progress.v1',
+        layoutKey: 'arcraiders.layout.v1',
+        squadKey: 'arcraiders.squad.v1',
+        profilesKey: 'arcraiders.profiles.v1',
+        snapshotKey: 'arcraiders.snapshot.v1',
+        sourcesKey: 'arcraiders.sources.v1',
+        colorKey: 'arcraiders.color.v1',
+        minimapKey: 'arcraiders.minimap.v1',
+        dataUrl: 'data/quests.json',
+        undoLimit: 100,
+        memberColors: ['#58a6ff', '#3fb950', '#f778ba', '#d29922', '#a371f7', '#39c5cf'],
+        orientation: 'vertical',
+        colorBy: 'trader',
+        minimap: true,
+        minZoom: 0.1,
+        maxZoom: 4,
+        fitMaxZoom: 1.5,
+        viewportDuration: 300,
+        glideFriction: 0.95,
+        renderer: 'auto',
+        canvasThreshold: 400,
+        labelMinZoom: 0.55,
+        locationColors: {
+            'Dam Battlegrounds': '#3fb950',
+            'Buried City': '#db6d28',
+            'Spaceport': '#58a6ff',
+            'The Blue Gate': '#39c5cf',
+            'Stella Montis': '#a371f7',
+            'Any': '#8b949e'
+        },
+        // Quests without a trader (area unlocks); traders come from the dataset
+        milestoneColor: '#d29922'
     };
 
     // ═══════════════════════════════════════════════════════════════
@@ -28,8 +52,35 @@
     
     let data = null;
     let questMap = new Map();
+    let questIndex = { prerequisites: new Map(), dependents: new Map() };
+    let traderInfo = new Map();
+    let groupInfo = new Map();
     let nodePositions = new Map();
+    let edgeRoutes = new Map();
+    let layoutLayers = [];
     let selectedId = null;
+    let activeView = 'quests';
+    let visibleIds = null;
+    let searchQuery = null;
+    let searchResults = null;
+    let searchKey = '';
+    let searchAncestors = false;
+    let routeTarget = null;
+    let routePlan = null;
+    let rewardFocus = null;
+    let locationFocus = null;
+    let focusTrail = [];
+    let restoringUrl = false;
+    let squad = [];
+    let profiles = null;
+    let profileDiff = null;
+    let dataText = '';
+    let changelog = null;
+    let remoteSources = [];
+    let dataSources = [];
+    let sourceInfo = null;
+    let progress = { completed: new Set(), objectives: new Map() };
+    let progressScope = '';
     
     let transform = { x: 0, y: 0, k: 1 };
     let drag = { active: false, startX: 0, startY: 0 };
@@ -39,23 +90,471 @@
     // ═══════════════════════════════════════════════════════════════
     
     async function init() {
+        registerServiceWorker();
+        
         try {
-            const res = await fetch('data/quests.json');
-            data = await res.json();
+            remoteSources = await loadRemoteSources();
+            dataText = remoteSources[0].text;
             
-            data.quests.forEach(q => questMap.set(q.id, q));
+            const report = mergeSources(composeSources(remoteSources, loadLocalSources()));
+            profiles = loadProfiles();
+            progress = loadProgress();
+            // A generated dataset says nothing about the real one's history
+            changelog = remoteSources[0].kind === 'generated' ? null : loadChangelog();
+            CONFIG.orientation = localStorage.getItem(CONFIG.layoutKey) === 'horizontal' ? 'horizontal' : 'vertical';
+            CONFIG.colorBy = localStorage.getItem(CONFIG.colorKey) === 'location' ? 'location' : 'trader';
+            CONFIG.minimap = localStorage.getItem(CONFIG.minimapKey) !== 'off';
+            const rendererParam = new URLSearchParams(location.search).get('renderer');
+            if (['auto', 'svg', 'canvas'].includes(rendererParam)) CONFIG.renderer = rendererParam;
             
             setupFilters();
             setupSidebar();
             setupGraph();
             setupControls();
             setupLegend();
-            updateStats();
+            setupRoutePlanner();
+            setupItemsView();
+            setupRewardsView();
+            setupLocationsView();
+            setupTransfer();
+            setupGraphExport();
+            setupSquad();
+            setupProfiles();
+            setupChangesView();
+            setupEditor();
+            setupSources();
+            setupDiagnostics(report);
+            refreshProgress();
+            
+            requestAnimationFrame(() => {
+                fitToView(false);
+                restoreUrlState();
+                window.addEventListener('popstate', restoreUrlState);
+            });
             
-            requestAnimationFrame(() => fitToView());
+            if (changelog) {
+                showNotice(`Quest data changed since ${QuestDiff.describeVersion(changelog.result.before)}: ` +
+                    `${plural(QuestDiff.countChanges(changelog.result), 'change')}.`, 0, {
+                    label: 'View',
+                    run: () => setView('changes')
+                });
+            }
         } catch (err) {
             console.error('Failed to load data:', err);
+            showLoadError(err);
+        }
+    }
+    
+    function showLoadError(err) {
+        const offline = navigator.onLine === false;
+        document.getElementById('loadErrorText').textContent = offline
+            ? 'You are offline and the quest data has not been saved for offline use yet.'
+            : err.message;
+        document.getElementById('retryLoad').addEventListener('click', () => location.reload());
+        document.getElementById('loadError').hidden = false;
+    }
+    
+    // Works offline after the first visit. The worker reports when a fresh
+    // copy of the dataset differs from the one this page was drawn from.
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.addEventListener('message', e => {
+            if (!e.data || e.data.type !== 'data-updated') return;
+            
+            const current = (data && data.meta) || {};
+            if (e.data.version === current.version && e.data.generated === current.generated) return;
+            
+            const label = [e.data.version && `v${e.data.version}`, e.data.generated].filter(Boolean).join(', ');
+            showNotice(`Quest data updated${label ? ` (${label})` : ''}.`, 0, {
+                label: 'Reload',
+                run: () => location.reload()
+            });
+        });
+        
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.warn('Service worker registration failed:', err);
+        });
+    }
+
+    // Fills in fields the validator reported missing or mistyped, so one
+    // broken entry doesn't stop the rest of the viewer from rendering
+    function normalizeQuest(q) {
+        ['prerequisites', 'requiredLocations', 'objectives', 'rewards', 'tags'].forEach(key => {
+            if (!Array.isArray(q[key])) q[key] = [];
+        });
+        ['name', 'group', 'trader'].forEach(key => {
+            if (typeof q[key] !== 'string') q[key] = key === 'name' ? q.id : '';
+        });
+        q.unlockMilestone = q.unlockMilestone === true;
+        q.inOneRound = q.inOneRound === true;
+        q.prerequisites = q.prerequisites.filter(p => typeof p === 'string');
+        q.objectives = q.objectives.filter(o => typeof o === 'string' || QuestObjectives.isStructured(o));
+        q.rewards = q.rewards.filter(r => r && typeof r === 'object' && r.name);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DATA SOURCES
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Sources are { name, kind: 'url' | 'file', role: 'base' | 'overlay', text, data }.
+    // The query string picks the URLs: ?data=a.json replaces the bundled
+    // file, ?overlay=b.json (repeatable or comma separated) adds on top.
+    // Local files are kept in localStorage; a local base replaces the URL
+    // bases and local overlays apply last. ?stress=<count>[&seed=<n>] swaps
+    // the bundled file for a generated dataset of that size.
+    async function loadRemoteSources() {
+        const params = new URLSearchParams(location.search);
+        const list = key => params.getAll(key).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+        const stress = parseInt(params.get('stress'), 10);
+        const sources = stress > 0 ? [createStressSource(stress, parseInt(params.get('seed'), 10))] : [];
+        const bases = list('data');
+        const urls = (bases.length > 0 ? bases : sources.length > 0 ? [] : [CONFIG.dataUrl]).map(url => ({ url, role: 'base' }))
+            .concat(list('overlay').map(url => ({ url, role: 'overlay' })));
+        
+        for (const { url, role } of urls) {
+            try {
+                sources.push(await fetchSource(url, role));
+            } catch (err) {
+                // Without a base there is nothing to show; a broken overlay is skipped
+                if (role === 'base') throw err;
+                console.warn(err);
+                showNotice(`Skipped overlay: ${err.message}`);
+            }
+        }
+        return sources;
+    }
+    
+    async function fetchSource(url, role) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`${url} returned ${res.status} ${res.statusText}`.trim());
+        const text = await res.text();
+        return { name: url, kind: 'url', role, text, data: parseSourceText(text, url) };
+    }
+    
+    function createStressSource(count, seed) {
+        const dataset = QuestStress.generate(Number.isFinite(seed) ? { quests: count, seed } : { quests: count });
+        const text = JSON.stringify(dataset);
+        return { name: `Stress test (${plural(count, 'quest')})`, kind: 'generated', role: 'base', text, data: dataset };
+    }
+    
+    function parseSourceText(text, name) {
+        const parsed = JSON.parse(text);
+        if (!parsed || !Array.isArray(parsed.quests)) throw new Error(`${name} has no "quests" array`);
+        return parsed;
+    }
+    
+    function loadLocalSources() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.sourcesKey)) || [];
+            return stored.flatMap(s => {
+                try {
+                    return [{ name: s.name, kind: 'file', role: s.role, text: s.text, data: parseSourceText(s.text, s.name) }];
+                } catch (err) {
+                    console.warn('Ignoring unreadable local source:', err);
+                    return [];
+                }
+            });
+        } catch (err) {
+            console.warn('Ignoring unreadable local sources:', err);
+            return [];
+        }
+    }
+    
+    function saveLocalSources(local) {
+        try {
+            localStorage.setItem(CONFIG.sourcesKey, JSON.stringify(local.map(s => ({ name: s.name, role: s.role, text: s.text }))));
+        } catch (err) {
+            console.warn('Failed to save local sources:', err);
+            showNotice('Could not store the file for next time; it applies to this visit only.');
+        }
+    }
+    
+    function composeSources(remote, local) {
+        const localBase = local.find(s => s.role === 'base');
+        return (localBase ? [localBase] : remote.filter(s => s.role === 'base'))
+            .concat(remote.filter(s => s.role === 'overlay'))
+            .concat(local.filter(s => s.role === 'overlay'));
+    }
+    
+    // Merges the sources into `data` and rebuilds questMap. Entries without
+    // a usable id and repeated ids (first one wins) are dropped.
+    function mergeSources(sources) {
+        dataSources = sources;
+        // Progress on a generated dataset is kept apart from the real one
+        progressScope = sources[0] && sources[0].kind === 'generated' ? 'stress' : '';
+        sourceInfo = QuestSources.merge(sources.map(s => ({ name: s.name, data: s.data })));
+        data = sourceInfo.dataset;
+        
+        const report = validateData();
+        questMap.clear();
+        data.quests = data.quests.filter(q => {
+            if (!q || typeof q !== 'object' || typeof q.id !== 'string' || questMap.has(q.id)) return false;
+            questMap.set(q.id, q);
+            return true;
+        });
+        data.quests.forEach(normalizeQuest);
+        buildQuestIndex();
+        buildCatalog();
+        return report;
+    }
+    
+    // Prerequisite and dependent ids per quest, in dataset order, so walking
+    // the graph doesn't rescan every quest. Unknown prerequisites are left out.
+    function buildQuestIndex() {
+        const prerequisites = new Map(data.quests.map(q => [q.id, []]));
+        const dependents = new Map(data.quests.map(q => [q.id, []]));
+        data.quests.forEach(q => q.prerequisites.forEach(p => {
+            if (!questMap.has(p) || prerequisites.get(q.id).includes(p)) return;
+            prerequisites.get(q.id).push(p);
+            dependents.get(p).push(q.id);
+        }));
+        questIndex = { prerequisites, dependents };
+    }
+    
+    // Validator findings plus merge conflicts, for the diagnostics panel
+    function validateData() {
+        const report = QuestValidator.validate(data);
+        sourceInfo.findings.forEach(f => report[f.severity === 'error' ? 'errors' : 'warnings'].push(f));
+        return report;
+    }
+    
+    function setupSources() {
+        const modal = document.getElementById('sourcesModal');
+        
+        document.getElementById('sourcesBtn').addEventListener('click', () => {
+            renderSources();
+            modal.hidden = false;
+        });
+        document.getElementById('closeSources').addEventListener('click', () => modal.hidden = true);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) modal.hidden = true;
+        });
+        
+        document.getElementById('openBaseFile').addEventListener('change', e => {
+            addLocalSources([...e.target.files], 'base');
+            e.target.value = '';
+        });
+        document.getElementById('addOverlayFile').addEventListener('change', e => {
+            addLocalSources([...e.target.files], 'overlay');
+            e.target.value = '';
+        });
+        document.getElementById('resetSources').addEventListener('click', () => {
+            saveLocalSources([]);
+            applySources(remoteSources, []);
+        });
+        
+        // Dropping JSON files anywhere adds them as overlays
+        document.addEventListener('dragover', e => {
+            if (!e.dataTransfer || ![...e.dataTransfer.types].includes('Files')) return;
+            e.preventDefault();
+            document.body.classList.add('dropping');
+        });
+        document.addEventListener('dragleave', e => {
+            if (!e.relatedTarget) document.body.classList.remove('dropping');
+        });
+        document.addEventListener('drop', e => {
+            document.body.classList.remove('dropping');
+            const files = [...(e.dataTransfer ? e.dataTransfer.files : [])].filter(f => /\.json$/i.test(f.name));
+            if (files.length === 0) return;
+            e.preventDefault();
+            addLocalSources(files, 'overlay');
+        });
+    }
+    
+    async function addLocalSources(files, role) {
+        const local = loadLocalSources();
+        
+        for (const file of files) {
+            try {
+                const text = await file.text();
+                const source = { name: file.name, kind: 'file', role, text, data: parseSourceText(text, file.name) };
+                if (role === 'base') {
+                    local.splice(0, local.length, ...local.filter(s => s.role !== 'base'));
+                    local.unshift(source);
+                } else {
+                    local.push(source);
+                }
+            } catch (err) {
+                showNotice(`Could not read ${file.name}: ${err.message}`);
+            }
+        }
+        
+        saveLocalSources(local);
+        applySources(remoteSources, local);
+    }
+    
+    function removeLocalSource(index) {
+        const local = loadLocalSources();
+        local.splice(index, 1);
+        saveLocalSources(local);
+        applySources(remoteSources, local);
+    }
+    
+    // Swapping the dataset resets the editor history; progress is re-read so
+    // quests an overlay brings back regain their saved state
+    function applySources(remote, local) {
+        mergeSources(composeSources(remote, local));
+        progress = loadProgress();
+        editHistory = { undo: [], redo: [] };
+        
+        rebuildQuests();
+        renderSources();
+        
+        const conflicts = sourceInfo.findings.length;
+        showNotice(`Loaded ${plural(dataSources.length, 'source')}, ${plural(data.quests.length, 'quest')}` +
+            (conflicts > 0 ? `, ${plural(conflicts, 'merge issue')}.` : '.'));
+    }
+    
+    const SOURCE_KINDS = { url: 'URL', file: 'Local file', generated: 'Generated' };
+    
+    function renderSources() {
+        const list = document.getElementById('sourceList');
+        const local = loadLocalSources();
+        
+        list.innerHTML = html`${dataSources.map((source, i) => {
+            const stats = sourceInfo.summary[i];
+            const changes = [
+                stats.added && `+${stats.added} added`,
+                stats.overridden && `${stats.overridden} overridden`,
+                stats.appended && `${stats.appended} appended`,
+                stats.deleted && `${stats.deleted} deleted`
+            ].filter(Boolean);
+            const localIndex = local.findIndex(s => s.name === source.name && s.role === source.role);
+            
+            return html`
+                <div class="source-row">
+                    <span class="tag">${source.role}</span>
+                    <div class="source-info">
+                        <div class="source-name" title="${source.name}">${source.name}</div>
+                        <div class="member-count">${join([SOURCE_KINDS[source.kind], plural(stats.quests, 'quest'), ...changes], ' · ')}</div>
+                    </div>
+                    ${source.kind === 'file' && html`<button class="btn" data-remove="${localIndex}">Remove</button>`}
+                </div>
+            `;
+        })}`;
+        
+        list.querySelectorAll('[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => removeLocalSource(Number(btn.dataset.remove)));
+        });
+        
+        document.getElementById('sourceFindings').innerHTML = html`${sourceInfo.findings.map(f => html`
+            <div class="finding ${f.severity}">
+                <div class="finding-head"><span class="code">${f.code}</span><span class="where">${join([f.questId, f.field].filter(Boolean), ' · ')}</span></div>
+                <div class="finding-message">${f.message}</div>
+            </div>
+        `)}`;
+        document.getElementById('resetSources').hidden = local.length === 0;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DIAGNOSTICS
+    // ═══════════════════════════════════════════════════════════════
+    
+    function setupDiagnostics(report) {
+        const panel = document.getElementById('diagnostics');
+        
+        document.getElementById('diagnosticsBtn').addEventListener('click', () => panel.hidden = !panel.hidden);
+        document.getElementById('closeDiagnostics').addEventListener('click', () => panel.hidden = true);
+        
+        renderDiagnostics(report);
+        
+        // Errors demand attention on load, warnings wait behind the button
+        panel.hidden = report.errors.length === 0;
+    }
+    
+    function renderDiagnostics(report) {
+        const findings = report.errors.concat(report.warnings);
+        const btn = document.getElementById('diagnosticsBtn');
+        const list = document.getElementById('diagnosticsList');
+        
+        btn.hidden = findings.length === 0;
+        if (findings.length === 0) {
+            document.getElementById('diagnostics').hidden = true;
+            return;
         }
+        
+        document.getElementById('diagnosticsCount').textContent = findings.length;
+        document.getElementById('diagnosticsSummary').textContent =
+            `${report.errors.length} errors · ${report.warnings.length} warnings`;
+
+        btn.classList.toggle('has-errors', report.errors.length > 0);
+        
+        list.innerHTML = html`${findings.map(f => html`
+            <div class="finding ${f.severity}"${f.questId && questMap.has(f.questId) && html` data-id="${f.questId}"`}>
+                <div class="finding-head">
+                    <span class="code">${f.code}</span>
+                    <span class="where">${[f.questId, f.field].filter(Boolean).join(' · ')}</span>
+                </div>
+                <div class="finding-message">${f.message}</div>
+            </div>
+        `)}`;
+        
+        list.querySelectorAll('.finding[data-id]').forEach(el => {
+            el.addEventListener('click', () => selectQuest(el.dataset.id));
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // TRADERS & GROUPS
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Built from the dataset's "traders" and "groups" sections, keyed by
+    // name and sorted by `order`, then by where they first appear; `rank`
+    // is an entry's place in that order. Names the quests use without an
+    // entry get one with a generated colour.
+    function buildCatalog() {
+        traderInfo = readEntries(data.traders, data.quests.map(q => q.trader).filter(Boolean));
+        groupInfo = readEntries(data.groups, data.quests.map(q => q.group));
+    }
+    
+    function readEntries(section, used) {
+        const defined = section && typeof section === 'object' && !Array.isArray(section) ? section : {};
+        const counts = new Map();
+        used.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+        
+        const entries = [...new Set(Object.keys(defined).concat(used))].map((name, index) => {
+            const entry = defined[name] && typeof defined[name] === 'object' ? defined[name] : {};
+            return {
+                name,
+                color: /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(entry.color) ? entry.color : generatedColor(name),
+                icon: typeof entry.icon === 'string' ? entry.icon : '',
+                description: typeof entry.description === 'string' ? entry.description : '',
+                order: Number.isFinite(entry.order) ? entry.order : Infinity,
+                requires: Array.isArray(entry.requires) ? entry.requires.filter(id => questMap.has(id)) : [],
+                quests: counts.get(name) || 0,
+                index
+            };
+        });
+        
+        entries.sort((a, b) => (a.order === b.order ? 0 : a.order - b.order) || a.index - b.index);
+        return new Map(entries.map((entry, rank) => [entry.name, Object.assign(entry, { rank })]));
+    }
+    
+    // Spread around the colour wheel by a hash of the name, so a trader
+    // keeps its colour from one visit to the next
+    function generatedColor(name) {
+        const hash = [...name].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 7);
+        return `hsl(${Math.round((hash * 137.508) % 360)}, 60%, 60%)`;
+    }
+    
+    // Entries with at least one quest, in display order
+    function listEntries(info) {
+        return [...info.values()].filter(entry => entry.quests > 0);
+    }
+    
+    function traderColor(name) {
+        return traderInfo.has(name) ? traderInfo.get(name).color : CONFIG.milestoneColor;
+    }
+    
+    function entryLabel(entry) {
+        return entry.icon ? `${entry.icon} ${entry.name}` : entry.name;
+    }
+    
+    // A group is open once every quest it requires is completed
+    function isGroupOpen(name) {
+        const group = groupInfo.get(name);
+        return !group || group.requires.every(id => progress.completed.has(id));
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -66,15 +565,7 @@
         const regionSel = document.getElementById('regionFilter');
         const traderSel = document.getElementById('traderFilter');
         
-        const regions = [...new Set(data.quests.map(q => q.group))];
-        regions.forEach(r => {
-            regionSel.add(new Option(r, r));
-        });
-        
-        const traders = [...new Set(data.quests.map(q => q.trader).filter(Boolean))];
-        traders.forEach(t => {
-            traderSel.add(new Option(t, t));
-        });
+        populateFilters();
         
         regionSel.addEventListener('change', applyFilters);
         traderSel.addEventListener('change', applyFilters);
@@ -82,28 +573,93 @@
         document.getElementById('resetBtn').addEventListener('click', resetFilters);
     }
     
+    // Rebuilt when the dataset changes; a selection that still exists is kept
+    function populateFilters() {
+        const fill = (select, entries) => {
+            const current = select.value;
+            select.length = 1;
+            entries.forEach(entry => {
+                const option = new Option(entryLabel(entry), entry.name);
+                option.title = entry.description;
+                select.add(option);
+            });
+            select.value = entries.some(entry => entry.name === current) ? current : 'all';
+        };
+        
+        fill(document.getElementById('regionFilter'), listEntries(groupInfo));
+        fill(document.getElementById('traderFilter'), listEntries(traderInfo));
+    }
+    
     function applyFilters() {
         const region = document.getElementById('regionFilter').value;
         const trader = document.getElementById('traderFilter').value;
-        const search = document.getElementById('search').value.toLowerCase().trim();
+        const modeIds = getModeIds();
+        
+        updateSearch();
+        const ancestors = new Set();
+        if (searchResults && searchAncestors) {
+            searchResults.forEach((_, id) => getAncestorPath(id).forEach(a => ancestors.add(a)));
+        }
         
         const visible = new Set();
         
         data.quests.forEach(q => {
             const matchRegion = region === 'all' || q.group === region;
             const matchTrader = trader === 'all' || q.trader === trader;
-            const matchSearch = !search || 
-                q.name.toLowerCase().includes(search) ||
-                q.objectives.some(o => o.toLowerCase().includes(search)) ||
-                q.rewards.some(r => r.name.toLowerCase().includes(search));
+            const matchSearch = !searchResults || searchResults.has(q.id) || ancestors.has(q.id);
+            const matchMode = !modeIds || modeIds.has(q.id);
             
-            if (matchRegion && matchTrader && matchSearch) {
+            if (matchRegion && matchTrader && matchSearch && matchMode) {
                 visible.add(q.id);
             }
         });
         
+        visibleIds = visible;
+        markLegendTrader(trader);
+        scheduleUrlUpdate();
         updateSidebarVisibility(visible);
         updateGraphVisibility(visible);
+        markModeHighlight();
+    }
+    
+    // Runs the search box query (see js/query.js). The quest list switches to
+    // ranked results and is only rebuilt when the ranking changes.
+    function updateSearch() {
+        const text = document.getElementById('search').value.trim();
+        const query = QuestQuery.parse(text);
+        
+        searchQuery = QuestQuery.isEmpty(query) ? null : query;
+        searchResults = searchQuery &&
+            new Map(QuestQuery.search(data.quests, searchQuery, { stateOf: getQuestState }).map(r => [r.quest.id, r]));
+        
+        const key = searchResults ? `${text}\n${[...searchResults.keys()].join('\n')}` : '';
+        if (key !== searchKey) {
+            searchKey = key;
+            renderQuestList();
+        }
+    }
+    
+    // Quests the active sidebar view narrows the graph to, or null for no restriction
+    function getModeIds() {
+        if (activeView === 'next') return new Set(getAvailableQuests().map(q => q.id));
+        if (activeView === 'route' && routePlan) return new Set(routePlan.steps.map(s => s.id));
+        if (activeView === 'rewards' && rewardFocus) return getRewardPathIds(rewardFocus);
+        if (activeView === 'locations') return getLocationModeIds();
+        if (activeView === 'squad') return new Set(getCommonAvailable().map(c => c.quest.id));
+        if (activeView === 'changes' && changelog) return new Set(changelog.kinds.keys());
+        return null;
+    }
+    
+    // Route, reward and focused map views also light up the quests they narrow to
+    function markModeHighlight() {
+        if (activeView !== 'route' && activeView !== 'rewards' && !(activeView === 'locations' && locationFocus)) return;
+        const ids = getModeIds();
+        if (!ids) return;
+        
+        ids.forEach(id => renderer.markNode(id, 'highlighted', true));
+        graphLinks.forEach((link, key) => {
+            if (ids.has(link.from) && ids.has(link.to)) renderer.markLink(key, 'highlighted', true);
+        });
     }
     
     function resetFilters() {
@@ -114,15 +670,31 @@
         fitToView();
     }
     
+    // Only the nodes whose visibility or search match changed since the
+    // last call are touched, with the links that end at them
     function updateGraphVisibility(visible) {
-        document.querySelectorAll('.node').forEach(node => {
-            node.classList.toggle('dimmed', !visible.has(node.dataset.id));
+        const matched = new Set(searchResults ? searchResults.keys() : []);
+        const changed = [];
+        
+        nodePositions.forEach((_, id) => {
+            if (!graphShown || graphShown.has(id) !== visible.has(id)) {
+                renderer.markNode(id, 'dimmed', !visible.has(id));
+                changed.push(id);
+            }
+            if (!graphMatched || graphMatched.has(id) !== matched.has(id)) {
+                renderer.markNode(id, 'match', matched.has(id));
+            }
         });
         
-        document.querySelectorAll('.link').forEach(link => {
-            const show = visible.has(link.dataset.from) && visible.has(link.dataset.to);
-            link.classList.toggle('dimmed', !show);
+        const links = graphShown ? linksTouching(changed) : [...graphLinks.keys()];
+        links.forEach(key => {
+            const link = graphLinks.get(key);
+            renderer.markLink(key, 'dimmed', !visible.has(link.from) || !visible.has(link.to));
         });
+        
+        updateMinimapVisibility(visible, graphShown ? changed : null);
+        graphShown = visible;
+        graphMatched = matched;
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -130,259 +702,510 @@
     // ═══════════════════════════════════════════════════════════════
     
     function setupSidebar() {
+        renderQuestList();
+        
+        document.querySelectorAll('#sidebarTabs .tab').forEach(tab => {
+            tab.addEventListener('click', () => setView(tab.dataset.view));
+        });
+        
+        document.getElementById('closeSidebar').addEventListener('click', () => {
+            document.getElementById('sidebar').classList.add('collapsed');
+        });
+        
+        document.getElementById('openSidebar').addEventListener('click', () => {
+            document.getElementById('sidebar').classList.remove('collapsed');
+        });
+    }
+    
+    function renderQuestList() {
         const list = document.getElementById('questList');
         const grouped = groupBy(data.quests, 'group');
+        list.innerHTML = '';
         
-        Object.entries(grouped).forEach(([group, quests]) => {
-            const div = document.createElement('div');
-            div.className = 'group';
-            div.innerHTML = `
-                <div class="group-header">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M6 9l6 6 6-6"/>
-                    </svg>
-                    <span>${group}</span>
-                    <span class="count">${quests.length}</span>
-                </div>
-                <div class="group-items"></div>
-            `;
-            
-            const header = div.querySelector('.group-header');
+        if (searchResults) {
+            renderSearchResults(list);
+            return;
+        }
+        
+        listEntries(groupInfo).forEach(entry => {
+            const quests = grouped[entry.name];
+            const div = createGroup(entry.name, quests.length, entry);
+            div.dataset.group = entry.name;
+            div.classList.toggle('waiting', !isGroupOpen(entry.name));
             const items = div.querySelector('.group-items');
             
-            header.addEventListener('click', () => div.classList.toggle('collapsed'));
+            quests.forEach(q => items.appendChild(createQuestItem(q)));
             
-            quests.forEach(q => {
-                const item = document.createElement('div');
-                item.className = `quest${q.unlockMilestone ? ' milestone' : ''}`;
-                item.dataset.id = q.id;
-                
-                const color = CONFIG.traderColors[q.trader] || CONFIG.traderColors[''];
-                item.innerHTML = `
-                    <span class="dot" style="background: ${color}"></span>
-                    <span class="name">${q.name}</span>
-                `;
-                
-                item.addEventListener('click', () => selectQuest(q.id));
-                items.appendChild(item);
+            list.appendChild(div);
+        });
+    }
+    
+    const FIELD_LABELS = {
+        trader: 'Trader', reward: 'Reward', loc: 'Location', tag: 'Tag',
+        group: 'Region', obj: 'Objective', is: 'State'
+    };
+    
+    // Best match first, matched text marked; hits outside the name are
+    // listed under it
+    function renderSearchResults(list) {
+        const count = searchResults.size;
+        const summary = document.createElement('div');
+        summary.className = 'route-summary search-summary';
+        summary.innerHTML = html`
+            <span>${count} ${count === 1 ? 'match' : 'matches'}</span>
+            <label title="Also show every prerequisite of the matches on the graph">
+                <input type="checkbox" id="searchAncestors"${searchAncestors && ' checked'}> With prerequisites
+            </label>
+            ${searchQuery.unknown.length > 0 && html`<div class="search-note">Not a field, searched as text: ${searchQuery.unknown.map(f => `${f}:`).join(', ')}</div>`}
+        `;
+        summary.querySelector('#searchAncestors').addEventListener('change', e => {
+            searchAncestors = e.target.checked;
+            applyFilters();
+        });
+        list.appendChild(summary);
+        
+        if (count === 0) {
+            list.insertAdjacentHTML('beforeend', '<div class="empty">No quests match</div>');
+            return;
+        }
+        
+        searchResults.forEach(({ quest, hits }) => {
+            const item = createQuestItem(quest);
+            item.classList.add('search-hit');
+            
+            const nameHit = hits.find(h => h.field === 'name');
+            if (nameHit) item.querySelector('.name').innerHTML = markRanges(quest.name, nameHit.ranges);
+            
+            const details = new Map();
+            hits.filter(h => FIELD_LABELS[h.field]).forEach(h => {
+                details.set(`${h.field}\n${h.text}`, html`${FIELD_LABELS[h.field]}: ${markRanges(h.text, h.ranges)}`);
             });
+            if (details.size > 0) {
+                item.insertAdjacentHTML('beforeend', html`<div class="match-detail">${join([...details.values()], ' · ')}</div>`);
+            }
             
-            list.appendChild(div);
+            list.appendChild(item);
         });
+    }
+    
+    // entry: the trader or group the list is made of, for its icon, colour
+    // and description. A group's requirements show as a lock while it is
+    // .waiting on them.
+    function createGroup(title, count, entry = null) {
+        const div = document.createElement('div');
+        div.className = 'group';
+        const requires = entry ? entry.requires.map(id => questMap.get(id).name) : [];
+        div.innerHTML = html`
+            <div class="group-header"${entry && entry.description && html` title="${entry.description}"`}>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M6 9l6 6 6-6"/>
+                </svg>
+                ${entry && html`<span class="dot" style="background: ${entry.color}"></span>`}
+                <span>${entry && entry.icon && html`<span class="icon">${entry.icon}</span> `}${title}</span>
+                ${requires.length > 0 && html`
+                    <svg class="group-lock" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <title>Opens after ${requires.join(', ')}</title>
+                        <rect x="5" y="11" width="14" height="10" rx="2"/>
+                        <path d="M8 11V7a4 4 0 0 1 8 0v4"/>
+                    </svg>
+                `}
+                <span class="count">${count}</span>
+            </div>
+            <div class="group-items"></div>
+        `;
+        div.querySelector('.group-header').addEventListener('click', () => div.classList.toggle('collapsed'));
+        return div;
+    }
+    
+    function createQuestItem(q) {
+        const item = document.createElement('div');
+        item.className = `quest${q.unlockMilestone ? ' milestone' : ''}`;
+        item.dataset.id = q.id;
         
-        document.getElementById('closeSidebar').addEventListener('click', () => {
-            document.getElementById('sidebar').classList.add('collapsed');
+        const color = traderColor(q.trader);
+        item.innerHTML = html`
+            <span class="dot" style="background: ${color}"></span>
+            <span class="name">${q.name}</span>
+            <button class="toggle" title="Toggle completed">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                    <path d="M5 12l5 5L20 7"/>
+                </svg>
+            </button>
+        `;
+        
+        const state = getQuestState(q.id);
+        item.classList.add(state);
+        item.classList.toggle('active', q.id === selectedId);
+        
+        item.querySelector('.toggle').addEventListener('click', e => {
+            e.stopPropagation();
+            setQuestCompleted(q.id, !progress.completed.has(q.id));
         });
+        item.addEventListener('click', () => selectQuest(q.id));
+        return item;
+    }
+    
+    function setView(view) {
+        activeView = view;
         
-        document.getElementById('openSidebar').addEventListener('click', () => {
-            document.getElementById('sidebar').classList.remove('collapsed');
+        document.querySelectorAll('#sidebarTabs .tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
         });
+        document.querySelectorAll('.sidebar-view').forEach(el => {
+            el.hidden = el.dataset.view !== view;
+        });
+        
+        renderActiveView();
+        applyFilters();
+    }
+    
+    // Views listing progress-dependent content are rebuilt on every change
+    function renderActiveView() {
+        const renderers = {
+            next: renderNextList,
+            route: renderRouteList,
+            items: renderItemsList,
+            rewards: renderRewardsList,
+            locations: renderLocationsList,
+            squad: renderSquadView,
+            changes: renderChangesView
+        };
+        if (activeView !== 'squad') clearSquadPips();
+        if (renderers[activeView]) renderers[activeView]();
     }
     
+    // Lists marked .unfiltered (such as a planned route) always show every entry
+    // Items are only written when they flip, and a group shows while any
+    // of its items does
     function updateSidebarVisibility(visible) {
-        document.querySelectorAll('.quest').forEach(item => {
-            item.style.display = visible.has(item.dataset.id) ? '' : 'none';
+        document.querySelectorAll('.quest-list:not(.unfiltered) .quest').forEach(item => {
+            const display = visible.has(item.dataset.id) ? '' : 'none';
+            if (item.style.display !== display) item.style.display = display;
         });
         
-        document.querySelectorAll('.group').forEach(group => {
-            const hasVisible = group.querySelectorAll('.quest[style=""]').length > 0 ||
-                              group.querySelectorAll('.quest:not([style])').length > 0;
+        document.querySelectorAll('.quest-list:not(.unfiltered) .group').forEach(group => {
+            const hasVisible = [...group.querySelectorAll('.quest')].some(item => item.style.display !== 'none');
             group.style.display = hasVisible ? '' : 'none';
         });
     }
 
     // ═══════════════════════════════════════════════════════════════
-    // GRAPH LAYOUT - TOP TO BOTTOM TREE
+    // GRAPH LAYOUT
     // ═══════════════════════════════════════════════════════════════
     
+    // X spacing always runs along the x axis, so in the horizontal orientation
+    // it separates layers and Y spacing separates siblings.
     function calculateLayout() {
-        nodePositions.clear();
-        
-        // Build adjacency for topological levels
-        const levels = new Map();
-        const processed = new Set();
-        
-        // Find all roots (milestones with no prereqs)
-        const roots = data.quests.filter(q => q.unlockMilestone && q.prerequisites.length === 0);
+        const horizontal = CONFIG.orientation === 'horizontal';
+        const layout = QuestLayout.computeLayout(getGraphQuests(), {
+            orientation: CONFIG.orientation,
+            nodeSpacing: horizontal ? CONFIG.nodeSpacingY : CONFIG.nodeSpacingX,
+            layerSpacing: horizontal ? CONFIG.nodeSpacingX : CONFIG.nodeSpacingY
+        });
         
-        function assignLevel(quest, level) {
-            if (processed.has(quest.id)) {
-                const existing = levels.get(quest.id);
-                if (existing !== undefined && existing >= level) return;
-            }
-            
-            levels.set(quest.id, level);
-            processed.add(quest.id);
-            
-            // Find children
-            const children = data.quests.filter(q => q.prerequisites.includes(quest.id));
-            children.forEach(child => {
-                // Only assign if all prereqs have levels
-                const prereqLevels = child.prerequisites.map(p => levels.get(p)).filter(l => l !== undefined);
-                if (prereqLevels.length === child.prerequisites.length) {
-                    const maxPrereq = Math.max(...prereqLevels);
-                    assignLevel(child, maxPrereq + 1);
-                }
-            });
-        }
+        nodePositions.clear();
+        layout.positions.forEach((pos, id) => nodePositions.set(id, pos));
         
-        // Process from roots
-        roots.forEach(root => assignLevel(root, 0));
+        edgeRoutes.clear();
+        layout.edges.forEach(e => edgeRoutes.set(`${e.from}>${e.to}`, e.points));
+        layoutLayers = layout.layers;
         
-        // Handle any unprocessed (circular or disconnected)
-        let maxAttempts = 10;
-        while (processed.size < data.quests.length && maxAttempts-- > 0) {
-            data.quests.forEach(q => {
-                if (!processed.has(q.id)) {
-                    const prereqLevels = q.prerequisites.map(p => levels.get(p)).filter(l => l !== undefined);
-                    if (prereqLevels.length > 0 || q.prerequisites.length === 0) {
-                        const level = prereqLevels.length > 0 ? Math.max(...prereqLevels) + 1 : 0;
-                        assignLevel(q, level);
-                    }
-                }
-            });
+        return layout;
+    }
+    
+    function setOrientation(orientation) {
+        CONFIG.orientation = orientation;
+        try {
+            localStorage.setItem(CONFIG.layoutKey, orientation);
+        } catch (err) {
+            console.warn('Failed to save layout preference:', err);
         }
         
-        // Group by level
-        const levelGroups = new Map();
-        levels.forEach((level, id) => {
-            if (!levelGroups.has(level)) levelGroups.set(level, []);
-            levelGroups.get(level).push(id);
-        });
-        
-        // Calculate positions - TOP TO BOTTOM layout
-        const maxLevel = Math.max(...levelGroups.keys());
-        
-        levelGroups.forEach((ids, level) => {
-            const count = ids.length;
-            const totalWidth = (count - 1) * CONFIG.nodeSpacingX;
-            const startX = -totalWidth / 2;
-            
-            ids.forEach((id, i) => {
-                nodePositions.set(id, {
-                    x: startX + i * CONFIG.nodeSpacingX,
-                    y: level * CONFIG.nodeSpacingY
-                });
-            });
-        });
-        
-        return { maxLevel, levelGroups };
+        calculateLayout();
+        positionGraph();
+        fitToView();
     }
 
     // ═══════════════════════════════════════════════════════════════
     // GRAPH RENDERING
     // ═══════════════════════════════════════════════════════════════
     
+    // Two interchangeable renderers draw the graph: svgRenderer
+    // (js/render-svg.js), an element per node and link, and canvasRenderer
+    // (js/render-canvas.js) for datasets too big for that.
+    // Both answer the same calls, so the rest of the app never asks which
+    // one is active:
+    //   attach(), detach()       show or hide its surface
+    //   draw(quests, links)      everything, for a new layout or dataset
+    //   position(), update()     follow a layout change, or a pan or zoom
+    //   markNode(id, cls, on)    the node classes css/styles.css styles:
+    //   markLink(key, cls, on)   selected, dimmed, highlighted, completed, ...
+    //   clearMarks(classes), nodeClasses(id), linkClasses(key)
+    //   recolor(), badges(), pips(on), label(id)
+    //   focusNode(id), setTabStop(id), nodeAt(event)
+    //   element                  the surface, for sizing and keyboard focus
+    let renderer = null;
+    let svgRenderer = null;
+    let canvasRenderer = null;
+    
+    // Links drawn for the current layout, by "from>to" key
+    let graphLinks = new Map();
+    
+    // What updateGraphVisibility last applied, so a filter change only
+    // touches the nodes it flips; null redoes every node
+    let graphShown = null;
+    let graphMatched = null;
+    
     function setupGraph() {
-        const svg = document.getElementById('graphSvg');
-        const group = document.getElementById('graphGroup');
-        const linksG = document.getElementById('links');
-        const nodesG = document.getElementById('nodes');
+        svgRenderer = QuestSvg.createRenderer(document.getElementById('graphSvg'), {
+            createNode: createNodeElement,
+            createLink: createLinkElement,
+            linkPath: key => createCurvedPath(getLinkPoints(key)),
+            position: id => nodePositions.get(id),
+            transform: () => transform,
+            color: nodeColor,
+            quest: id => questMap.get(id),
+            badge: createChangeBadge,
+            pips: createSquadPips,
+            label: nodeLabel,
+            enter: enterNode,
+            leave: leaveNode,
+            select: selectQuest
+        });
+        canvasRenderer = QuestCanvas.createRenderer(document.getElementById('graphCanvas'), {
+            quest: id => questMap.get(id),
+            position: id => nodePositions.get(id),
+            linkPoints: getLinkPoints,
+            transform: () => transform,
+            viewRect: getViewRect,
+            orientation: () => CONFIG.orientation,
+            radius: quest => quest.unlockMilestone ? 10 : CONFIG.nodeRadius,
+            color: nodeColor,
+            label: quest => truncate(quest.name, 18),
+            labelMinZoom: CONFIG.labelMinZoom,
+            badge: id => changelog && changelog.kinds.has(id)
+                ? { kind: changelog.kinds.get(id), affected: changelog.affected.has(id) }
+                : null,
+            pips: id => squad.map((member, i) => ({ state: memberState(member, id), color: memberColor(i) })),
+            announce: id => announce(nodeLabel(id)),
+            dragging: () => drag.active,
+            enter: enterNode,
+            leave: leaveNode,
+            select: selectQuest
+        });
+        setupMinimap();
+        renderGraph();
+        
+        // Pan & Zoom
+        setupPanZoom([document.getElementById('graphSvg'), document.getElementById('graphCanvas')]);
+    }
+    
+    // CONFIG.renderer forces one; 'auto' switches to canvas above canvasThreshold quests
+    function pickRenderer(count) {
+        const mode = CONFIG.renderer === 'auto'
+            ? (count > CONFIG.canvasThreshold ? 'canvas' : 'svg')
+            : CONFIG.renderer;
+        return mode === 'canvas' ? canvasRenderer : svgRenderer;
+    }
+    
+    // Lays out and draws every quest, or the focused subgraph; also used to
+    // redraw after edits
+    function renderGraph() {
+        const quests = getGraphQuests();
+        const next = pickRenderer(quests.length);
+        if (next !== renderer) {
+            if (renderer) renderer.detach();
+            renderer = next;
+            renderer.attach();
+        }
         
         calculateLayout();
         
-        // Render links
-        data.quests.forEach(quest => {
-            quest.prerequisites.forEach(prereqId => {
-                const from = nodePositions.get(prereqId);
-                const to = nodePositions.get(quest.id);
-                if (!from || !to) return;
-                
-                const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                path.setAttribute('class', 'link');
-                path.setAttribute('d', createCurvedPath(from, to));
-                path.dataset.from = prereqId;
-                path.dataset.to = quest.id;
-                linksG.appendChild(path);
+        graphLinks = new Map();
+        quests.forEach(quest => {
+            questIndex.prerequisites.get(quest.id).forEach(prereqId => {
+                if (!nodePositions.has(prereqId) || !nodePositions.has(quest.id)) return;
+                graphLinks.set(`${prereqId}>${quest.id}`, { from: prereqId, to: quest.id });
             });
         });
+        graphShown = null;
+        graphMatched = null;
         
-        // Render nodes
-        data.quests.forEach(quest => {
-            const pos = nodePositions.get(quest.id);
-            if (!pos) return;
-            
-            const color = CONFIG.traderColors[quest.trader] || CONFIG.traderColors[''];
-            const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            g.setAttribute('class', 'node');
-            g.setAttribute('transform', `translate(${pos.x}, ${pos.y})`);
-            g.dataset.id = quest.id;
-            
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('r', quest.unlockMilestone ? 10 : CONFIG.nodeRadius);
-            circle.setAttribute('fill', color);
-            circle.setAttribute('stroke', color);
-            
-            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            text.setAttribute('y', quest.unlockMilestone ? 24 : 20);
-            text.textContent = truncate(quest.name, 18);
-            
-            g.appendChild(circle);
-            g.appendChild(text);
-            
-            g.addEventListener('click', () => selectQuest(quest.id));
-            g.addEventListener('mouseenter', () => highlightPath(quest.id));
-            g.addEventListener('mouseleave', () => {
-                if (!selectedId) clearHighlight();
-            });
-            
-            nodesG.appendChild(g);
+        renderer.draw(quests, graphLinks);
+        renderChangeBadges();
+        updateTabStop();
+        positionGraph();
+    }
+    
+    function nodeLabel(id) {
+        const quest = questMap.get(id);
+        const unlocks = getUnlocks(id).length;
+        return [
+            quest.name,
+            quest.trader,
+            STATE_LABELS[getQuestState(id)],
+            quest.prerequisites.length > 0 && plural(quest.prerequisites.length, 'prerequisite'),
+            unlocks > 0 && `unlocks ${plural(unlocks, 'quest')}`
+        ].filter(Boolean).join(', ');
+    }
+    
+    // Moves the rendered nodes and links to the current layout
+    function positionGraph() {
+        renderer.position();
+        document.getElementById('toggleLayout').classList.toggle('active', CONFIG.orientation === 'horizontal');
+        renderMinimap();
+    }
+    
+    // Sets `cls` on every drawn node for which test(id) holds
+    function markNodes(cls, test) {
+        nodePositions.forEach((_, id) => renderer.markNode(id, cls, !!test(id)));
+    }
+    
+    function markLinks(cls, test) {
+        graphLinks.forEach((link, key) => renderer.markLink(key, cls, !!test(link.from, link.to)));
+    }
+    
+    // Keys of the drawn links that start or end at any of `ids`
+    function linksTouching(ids) {
+        const keys = new Set();
+        ids.forEach(id => {
+            (questIndex.prerequisites.get(id) || []).forEach(from => keys.add(`${from}>${id}`));
+            (questIndex.dependents.get(id) || []).forEach(to => keys.add(`${id}>${to}`));
         });
-        
-        // Pan & Zoom
-        setupPanZoom(svg, group);
+        return [...keys].filter(key => graphLinks.has(key));
     }
     
-    function createCurvedPath(from, to) {
-        const midY = (from.y + to.y) / 2;
-        return `M ${from.x} ${from.y} C ${from.x} ${midY}, ${to.x} ${midY}, ${to.x} ${to.y}`;
+    function getViewportRect() {
+        return renderer.element.getBoundingClientRect();
     }
     
-    function setupPanZoom(svg, group) {
-        svg.addEventListener('wheel', e => {
-            e.preventDefault();
-            const rect = svg.getBoundingClientRect();
-            const mx = e.clientX - rect.left;
-            const my = e.clientY - rect.top;
-            
-            const delta = e.deltaY > 0 ? 0.9 : 1.1;
-            const newK = Math.max(0.1, Math.min(4, transform.k * delta));
-            
-            transform.x = mx - (mx - transform.x) * (newK / transform.k);
-            transform.y = my - (my - transform.y) * (newK / transform.k);
-            transform.k = newK;
+    // One S-curve per segment; long edges pass through their layout waypoints
+    function createCurvedPath(points) {
+        let d = `M ${points[0].x} ${points[0].y}`;
+        
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
             
-            applyTransform(group);
-        });
+            if (CONFIG.orientation === 'horizontal') {
+                const midX = (from.x + to.x) / 2;
+                d += ` C ${midX} ${from.y}, ${midX} ${to.y}, ${to.x} ${to.y}`;
+            } else {
+                const midY = (from.y + to.y) / 2;
+                d += ` C ${from.x} ${midY}, ${to.x} ${midY}, ${to.x} ${to.y}`;
+            }
+        }
         
-        svg.addEventListener('mousedown', e => {
-            if (e.target.closest('.node')) return;
-            drag.active = true;
-            drag.startX = e.clientX - transform.x;
-            drag.startY = e.clientY - transform.y;
-            svg.style.cursor = 'grabbing';
-        });
+        return d;
+    }
+    
+    function getLinkPoints(key) {
+        const link = graphLinks.get(key);
+        return edgeRoutes.get(key) || [nodePositions.get(link.from), nodePositions.get(link.to)];
+    }
+    
+    function createNodeElement(quest) {
+        const color = nodeColor(quest);
+        const g = document.createElementNS(SVG_NS, 'g');
+        g.setAttribute('class', 'node');
+        g.setAttribute('role', 'button');
+        g.setAttribute('tabindex', '-1');
+        g.setAttribute('aria-label', nodeLabel(quest.id));
+        g.dataset.id = quest.id;
+        
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('r', quest.unlockMilestone ? 10 : CONFIG.nodeRadius);
+        circle.setAttribute('fill', color);
+        circle.setAttribute('stroke', color);
+        
+        const mark = document.createElementNS(SVG_NS, 'path');
+        mark.setAttribute('class', 'check-mark');
+        mark.setAttribute('d', 'M -4 0 L -1 3 L 4 -3');
+        
+        const text = document.createElementNS(SVG_NS, 'text');
+        text.setAttribute('y', quest.unlockMilestone ? 24 : 20);
+        text.textContent = truncate(quest.name, 18);
+        
+        g.appendChild(circle);
+        g.appendChild(mark);
+        g.appendChild(text);
+        
+        const pos = nodePositions.get(quest.id);
+        g.setAttribute('transform', `translate(${pos.x}, ${pos.y})`);
+        return g;
+    }
+    
+    function createLinkElement(key) {
+        const link = graphLinks.get(key);
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('class', 'link');
+        path.dataset.from = link.from;
+        path.dataset.to = link.to;
+        path.setAttribute('d', createCurvedPath(getLinkPoints(key)));
+        return path;
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // VIEWPORT
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Every pan and zoom goes through setTransform: wheel, drag and pinch,
+    // the zoom buttons and keys, fitting, centring, deep links and the
+    // minimap. Moves either land at once or ease over viewportDuration; a
+    // flicked touch drag keeps gliding. viewportFrame is the running
+    // animation, cancelled by whichever move comes next.
+    let viewportFrame = null;
+    let minimapBounds = null;
+    let minimapDots = new Map();
+    let minimapLines = new Map();
+    
+    // Both renderer surfaces pan and zoom; only the visible one gets events
+    function setupPanZoom(surfaces) {
+        surfaces.forEach(bindPanZoom);
         
         window.addEventListener('mousemove', e => {
             if (!drag.active) return;
-            transform.x = e.clientX - drag.startX;
-            transform.y = e.clientY - drag.startY;
-            applyTransform(group);
+            setTransform({ x: e.clientX - drag.startX, y: e.clientY - drag.startY, k: transform.k });
         });
         
         window.addEventListener('mouseup', () => {
             drag.active = false;
-            svg.style.cursor = 'grab';
+            surfaces.forEach(surface => surface.style.cursor = '');
+        });
+    }
+    
+    function bindPanZoom(surface) {
+        surface.addEventListener('wheel', e => {
+            e.preventDefault();
+            const rect = surface.getBoundingClientRect();
+            zoomAt(e.deltaY > 0 ? 0.9 : 1.1, e.clientX - rect.left, e.clientY - rect.top);
         });
         
-        // Touch support
+        surface.addEventListener('mousedown', e => {
+            if (renderer.nodeAt(e)) return;
+            stopViewportMotion();
+            drag.active = true;
+            drag.startX = e.clientX - transform.x;
+            drag.startY = e.clientY - transform.y;
+            surface.style.cursor = 'grabbing';
+        });
+        
+        // Touch support; the drag velocity is smoothed over the last few
+        // moves so a release carries on in the direction of the flick
         let lastDist = 0;
-        svg.addEventListener('touchstart', e => {
+        let last = null;
+        const velocity = { x: 0, y: 0 };
+        
+        surface.addEventListener('touchstart', e => {
+            stopViewportMotion();
             if (e.touches.length === 1) {
                 drag.active = true;
                 drag.startX = e.touches[0].clientX - transform.x;
                 drag.startY = e.touches[0].clientY - transform.y;
+                last = { x: e.touches[0].clientX, y: e.touches[0].clientY, time: performance.now() };
+                velocity.x = velocity.y = 0;
             } else if (e.touches.length === 2) {
+                drag.active = false;
                 lastDist = Math.hypot(
                     e.touches[0].clientX - e.touches[1].clientX,
                     e.touches[0].clientY - e.touches[1].clientY
@@ -390,45 +1213,323 @@
             }
         });
         
-        svg.addEventListener('touchmove', e => {
+        surface.addEventListener('touchmove', e => {
             e.preventDefault();
             if (e.touches.length === 1 && drag.active) {
-                transform.x = e.touches[0].clientX - drag.startX;
-                transform.y = e.touches[0].clientY - drag.startY;
-                applyTransform(group);
+                const touch = e.touches[0];
+                const now = performance.now();
+                const dt = now - last.time;
+                if (dt > 0) {
+                    velocity.x = 0.8 * (touch.clientX - last.x) / dt + 0.2 * velocity.x;
+                    velocity.y = 0.8 * (touch.clientY - last.y) / dt + 0.2 * velocity.y;
+                }
+                last = { x: touch.clientX, y: touch.clientY, time: now };
+                setTransform({ x: touch.clientX - drag.startX, y: touch.clientY - drag.startY, k: transform.k });
             } else if (e.touches.length === 2) {
+                const rect = surface.getBoundingClientRect();
                 const dist = Math.hypot(
                     e.touches[0].clientX - e.touches[1].clientX,
                     e.touches[0].clientY - e.touches[1].clientY
                 );
-                transform.k = Math.max(0.1, Math.min(4, transform.k * (dist / lastDist)));
+                zoomAt(dist / lastDist,
+                    (e.touches[0].clientX + e.touches[1].clientX) / 2 - rect.left,
+                    (e.touches[0].clientY + e.touches[1].clientY) / 2 - rect.top);
                 lastDist = dist;
-                applyTransform(group);
             }
         });
         
-        svg.addEventListener('touchend', () => drag.active = false);
+        surface.addEventListener('touchend', () => {
+            // A finger that stopped before lifting shouldn't glide
+            if (drag.active && last && performance.now() - last.time < 80) glide(velocity.x, velocity.y);
+            drag.active = false;
+        });
+    }
+    
+    function clampZoom(k) {
+        return Math.max(CONFIG.minZoom, Math.min(CONFIG.maxZoom, k));
+    }
+    
+    /**
+     * Moves the view to { x, y, k }, clamping the zoom.
+     * @param {boolean} [animate] ease there instead of jumping; skipped when
+     *        the user prefers reduced motion
+     */
+    function setTransform(next, animate = false) {
+        stopViewportMotion();
+        const target = { x: next.x, y: next.y, k: clampZoom(next.k) };
+        
+        if (!animate || prefersReducedMotion()) {
+            Object.assign(transform, target);
+            applyTransform();
+            return;
+        }
+        
+        const from = Object.assign({}, transform);
+        const start = performance.now();
+        const step = now => {
+            const t = Math.min(1, (now - start) / CONFIG.viewportDuration);
+            const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+            transform.x = from.x + (target.x - from.x) * eased;
+            transform.y = from.y + (target.y - from.y) * eased;
+            transform.k = from.k + (target.k - from.k) * eased;
+            applyTransform();
+            viewportFrame = t < 1 ? requestAnimationFrame(step) : null;
+        };
+        viewportFrame = requestAnimationFrame(step);
     }
     
-    function applyTransform(group) {
-        group.setAttribute('transform', `translate(${transform.x}, ${transform.y}) scale(${transform.k})`);
+    function stopViewportMotion() {
+        if (viewportFrame) cancelAnimationFrame(viewportFrame);
+        viewportFrame = null;
     }
     
-    function fitToView() {
-        const svg = document.getElementById('graphSvg');
-        const group = document.getElementById('graphGroup');
-        const bbox = group.getBBox();
-        const svgRect = svg.getBoundingClientRect();
+    // Momentum after a touch drag; velocity is in px per millisecond
+    function glide(vx, vy) {
+        if (Math.hypot(vx, vy) < 0.05 || prefersReducedMotion()) return;
         
+        let last = performance.now();
+        const step = now => {
+            const dt = now - last;
+            last = now;
+            transform.x += vx * dt;
+            transform.y += vy * dt;
+            applyTransform();
+            
+            const decay = Math.pow(CONFIG.glideFriction, dt / 16);
+            vx *= decay;
+            vy *= decay;
+            viewportFrame = Math.hypot(vx, vy) > 0.02 ? requestAnimationFrame(step) : null;
+        };
+        viewportFrame = requestAnimationFrame(step);
+    }
+    
+    function prefersReducedMotion() {
+        return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    function applyTransform() {
+        renderer.update();
+        updateMinimapView();
+        scheduleUrlUpdate();
+    }
+    
+    // Zooms keeping the screen point (cx, cy) still
+    function zoomAt(factor, cx, cy, animate = false) {
+        const k = clampZoom(transform.k * factor);
+        setTransform({
+            x: cx - (cx - transform.x) * (k / transform.k),
+            y: cy - (cy - transform.y) * (k / transform.k),
+            k
+        }, animate);
+    }
+    
+    function zoomBy(factor) {
+        const rect = getViewportRect();
+        zoomAt(factor, rect.width / 2, rect.height / 2, true);
+    }
+    
+    // Fits a box in graph coordinates to the screen
+    function fitBounds(box, animate = true) {
+        const rect = getViewportRect();
         const padding = 60;
-        const scaleX = (svgRect.width - padding * 2) / bbox.width;
-        const scaleY = (svgRect.height - padding * 2) / bbox.height;
+        const k = Math.min(
+            (rect.width - padding * 2) / box.width,
+            (rect.height - padding * 2) / box.height,
+            CONFIG.fitMaxZoom
+        );
+        
+        setTransform({
+            x: rect.width / 2 - (box.x + box.width / 2) * k,
+            y: rect.height / 2 - (box.y + box.height / 2) * k,
+            k
+        }, animate);
+    }
+    
+    function fitToView(animate = true) {
+        fitBounds(getGraphBounds(() => true), animate);
+    }
+    
+    // The selected quest with everything highlighted alongside it
+    function fitSelection() {
+        if (!selectedId || !nodePositions.has(selectedId)) {
+            showNotice('Select a quest on the graph first.', 3000);
+            return;
+        }
+        
+        const ids = new Set(getAncestorPath(selectedId).concat(getDescendants(selectedId)));
+        fitBounds(getGraphBounds(id => ids.has(id)));
+    }
+    
+    function fitFiltered() {
+        const shown = visibleIds && [...nodePositions.keys()].filter(id => visibleIds.has(id));
+        if (!shown || shown.length === nodePositions.size) return fitToView();
+        if (shown.length === 0) {
+            showNotice('No quests on the graph match the current filters.', 3000);
+            return;
+        }
+        
+        fitBounds(getGraphBounds(id => visibleIds.has(id)));
+    }
+    
+    function centerOnNode(id, animate = true) {
+        const pos = nodePositions.get(id);
+        if (!pos) return;
+        
+        const rect = getViewportRect();
+        setTransform({
+            x: rect.width / 2 - pos.x * transform.k,
+            y: rect.height / 2 - pos.y * transform.k,
+            k: transform.k
+        }, animate);
+    }
+    
+    // Minimap: every node in miniature and the area on screen. Clicking
+    // centres the view there; dragging the rectangle pans.
+    function setupMinimap() {
+        const minimap = document.getElementById('minimap');
+        const svg = document.getElementById('minimapSvg');
+        minimap.hidden = !CONFIG.minimap;
+        document.getElementById('toggleMinimap').classList.toggle('active', CONFIG.minimap);
+        document.getElementById('toggleMinimap').addEventListener('click', () => setMinimap(!CONFIG.minimap));
+        
+        let grab = null;
+        const start = (clientX, clientY) => {
+            if (!minimapBounds) return;
+            stopViewportMotion();
+            const point = minimapPoint(clientX, clientY);
+            const view = getViewRect();
+            const inside = point.x >= view.x && point.x <= view.x + view.width &&
+                point.y >= view.y && point.y <= view.y + view.height;
+            // Grabbing the rectangle keeps the pointer where it took hold
+            grab = inside
+                ? { dx: view.x + view.width / 2 - point.x, dy: view.y + view.height / 2 - point.y }
+                : { dx: 0, dy: 0 };
+            move(clientX, clientY);
+        };
+        const move = (clientX, clientY) => {
+            const point = minimapPoint(clientX, clientY);
+            const rect = getViewportRect();
+            setTransform({
+                x: rect.width / 2 - (point.x + grab.dx) * transform.k,
+                y: rect.height / 2 - (point.y + grab.dy) * transform.k,
+                k: transform.k
+            });
+        };
+        
+        svg.addEventListener('mousedown', e => {
+            e.preventDefault();
+            start(e.clientX, e.clientY);
+        });
+        window.addEventListener('mousemove', e => {
+            if (grab) move(e.clientX, e.clientY);
+        });
+        window.addEventListener('mouseup', () => grab = null);
+        
+        svg.addEventListener('touchstart', e => {
+            e.preventDefault();
+            start(e.touches[0].clientX, e.touches[0].clientY);
+        });
+        svg.addEventListener('touchmove', e => {
+            e.preventDefault();
+            if (grab) move(e.touches[0].clientX, e.touches[0].clientY);
+        });
+        svg.addEventListener('touchend', () => grab = null);
+    }
+    
+    function setMinimap(on) {
+        CONFIG.minimap = on;
+        try {
+            localStorage.setItem(CONFIG.minimapKey, on ? 'on' : 'off');
+        } catch (err) {
+            console.warn('Failed to save minimap preference:', err);
+        }
+        
+        document.getElementById('minimap').hidden = !on;
+        document.getElementById('toggleMinimap').classList.toggle('active', on);
+        renderMinimap();
+    }
+    
+    function renderMinimap() {
+        const linksG = document.getElementById('minimapLinks');
+        const nodesG = document.getElementById('minimapNodes');
+        linksG.innerHTML = '';
+        nodesG.innerHTML = '';
+        minimapBounds = null;
+        minimapDots = new Map();
+        minimapLines = new Map();
+        if (!CONFIG.minimap || nodePositions.size === 0) return;
+        
+        minimapBounds = getGraphBounds(() => true);
+        const b = minimapBounds;
+        document.getElementById('minimapSvg').setAttribute('viewBox', `${b.x} ${b.y} ${b.width} ${b.height}`);
+        
+        graphLinks.forEach((link, key) => {
+            const line = document.createElementNS(SVG_NS, 'polyline');
+            line.setAttribute('points', getLinkPoints(key).map(p => `${p.x},${p.y}`).join(' '));
+            minimapLines.set(key, line);
+            linksG.appendChild(line);
+        });
+        
+        nodePositions.forEach((pos, id) => {
+            const dot = document.createElementNS(SVG_NS, 'circle');
+            dot.setAttribute('cx', pos.x);
+            dot.setAttribute('cy', pos.y);
+            dot.setAttribute('r', CONFIG.nodeRadius * 1.5);
+            dot.setAttribute('fill', nodeColor(questMap.get(id)));
+            minimapDots.set(id, dot);
+            nodesG.appendChild(dot);
+        });
         
-        transform.k = Math.min(scaleX, scaleY, 1.5);
-        transform.x = svgRect.width / 2 - (bbox.x + bbox.width / 2) * transform.k;
-        transform.y = svgRect.height / 2 - (bbox.y + bbox.height / 2) * transform.k;
+        if (visibleIds) updateMinimapVisibility(visibleIds);
+        updateMinimapView();
+    }
+    
+    // `changed` limits the update to those quests and their links
+    function updateMinimapVisibility(visible, changed = null) {
+        const ids = changed || [...minimapDots.keys()];
+        ids.forEach(id => {
+            const dot = minimapDots.get(id);
+            if (dot) dot.classList.toggle('dimmed', !visible.has(id));
+        });
         
-        applyTransform(group);
+        (changed ? linksTouching(changed) : [...minimapLines.keys()]).forEach(key => {
+            const link = graphLinks.get(key);
+            const line = minimapLines.get(key);
+            if (line) line.classList.toggle('dimmed', !visible.has(link.from) || !visible.has(link.to));
+        });
+    }
+    
+    function updateMinimapView() {
+        if (!minimapBounds) return;
+        const view = getViewRect();
+        const rect = document.getElementById('minimapView');
+        rect.setAttribute('x', view.x);
+        rect.setAttribute('y', view.y);
+        rect.setAttribute('width', view.width);
+        rect.setAttribute('height', view.height);
+    }
+    
+    // The part of the graph on screen, in graph coordinates
+    function getViewRect() {
+        const rect = getViewportRect();
+        return {
+            x: -transform.x / transform.k,
+            y: -transform.y / transform.k,
+            width: rect.width / transform.k,
+            height: rect.height / transform.k
+        };
+    }
+    
+    // Graph coordinates under a screen point on the minimap, which scales the
+    // bounds to fit and centres them
+    function minimapPoint(clientX, clientY) {
+        const rect = document.getElementById('minimapSvg').getBoundingClientRect();
+        const b = minimapBounds;
+        const scale = Math.min(rect.width / b.width, rect.height / b.height);
+        return {
+            x: b.x + (clientX - rect.left - (rect.width - b.width * scale) / 2) / scale,
+            y: b.y + (clientY - rect.top - (rect.height - b.height * scale) / 2) / scale
+        };
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -436,6 +1537,11 @@
     // ═══════════════════════════════════════════════════════════════
     
     function selectQuest(id) {
+        // A quest outside the focused subgraph brings the full graph back
+        if (focusTrail.length > 0 && !nodePositions.has(id)) {
+            focusTrail = [];
+            showFocus();
+        }
         selectedId = id;
         
         // Update sidebar
@@ -444,29 +1550,50 @@
         });
         
         // Update graph
-        document.querySelectorAll('.node').forEach(el => {
-            el.classList.toggle('selected', el.dataset.id === id);
-        });
+        markNodes('selected', nid => nid === id);
         
+        markCursor(id);
         highlightPath(id);
         showPanel(id);
         centerOnNode(id);
+        writeUrlState(true);
+    }
+    
+    // Re-applies the selection to freshly rendered nodes and list items
+    function markSelection() {
+        if (!selectedId) return;
+        document.querySelectorAll('.quest').forEach(el => el.classList.toggle('active', el.dataset.id === selectedId));
+        markNodes('selected', id => id === selectedId);
+        highlightPath(selectedId);
+    }
+    
+    function enterNode(id) {
+        highlightPath(id);
+        showImpactTip(id);
+    }
+    
+    function leaveNode() {
+        hideImpactTip();
+        if (!selectedId) clearHighlight();
     }
     
+    // Prerequisites light up in the path colour, everything the quest
+    // unlocks downstream in a second one
     function highlightPath(id) {
-        const pathIds = getAncestorPath(id);
+        const pathIds = new Set(getAncestorPath(id));
+        const downstream = new Set(getDescendants(id));
+        const inPath = (from, to) => pathIds.has(from) && pathIds.has(to);
+        const below = (from, to) => downstream.has(to) && (from === id || downstream.has(from));
         
-        document.querySelectorAll('.node').forEach(el => {
-            const inPath = pathIds.includes(el.dataset.id);
-            el.classList.toggle('highlighted', inPath);
-            el.classList.toggle('dimmed', !inPath && selectedId);
-        });
+        markNodes('highlighted', nid => pathIds.has(nid));
+        markNodes('downstream', nid => downstream.has(nid));
+        markNodes('dimmed', nid => !pathIds.has(nid) && !downstream.has(nid) && selectedId);
+        markLinks('highlighted', inPath);
+        markLinks('downstream', below);
+        markLinks('dimmed', (from, to) => !inPath(from, to) && !below(from, to) && selectedId);
         
-        document.querySelectorAll('.link').forEach(el => {
-            const inPath = pathIds.includes(el.dataset.from) && pathIds.includes(el.dataset.to);
-            el.classList.toggle('highlighted', inPath);
-            el.classList.toggle('dimmed', !inPath && selectedId);
-        });
+        // The filters' dimming was just overwritten
+        graphShown = null;
     }
     
     function getAncestorPath(id) {
@@ -488,24 +1615,119 @@
         return path;
     }
     
+    // Every quest that depends on this one, directly or through others,
+    // nearest first
+    function getDescendants(id) {
+        const found = [];
+        const seen = new Set([id]);
+        
+        for (let i = -1; i < found.length; i++) {
+            getUnlocks(i < 0 ? id : found[i]).forEach(q => {
+                if (seen.has(q.id)) return;
+                seen.add(q.id);
+                found.push(q.id);
+            });
+        }
+        
+        return found;
+    }
+    
     function clearHighlight() {
-        document.querySelectorAll('.node, .link').forEach(el => {
-            el.classList.remove('highlighted', 'dimmed');
-        });
+        renderer.clearMarks(['highlighted', 'downstream', 'dimmed']);
+        graphShown = null;
+        
+        // Restore whatever the filters and the active mode dim
+        if (visibleIds) updateGraphVisibility(visibleIds);
+        markModeHighlight();
     }
     
-    function centerOnNode(id) {
+    function showImpactTip(id) {
+        const tip = document.getElementById('impactTip');
         const pos = nodePositions.get(id);
         if (!pos) return;
         
-        const svg = document.getElementById('graphSvg');
-        const group = document.getElementById('graphGroup');
-        const rect = svg.getBoundingClientRect();
+        const count = getDescendants(id).length;
+        tip.innerHTML = html`<strong>${questMap.get(id).name}</strong>
+            <span>${count > 0 ? `Unlocks ${plural(count, 'quest')} downstream` : 'Nothing depends on this quest'}</span>`;
+        
+        const surface = getViewportRect();
+        const container = document.getElementById('graphContainer').getBoundingClientRect();
+        const radius = questMap.get(id).unlockMilestone ? 10 : CONFIG.nodeRadius;
+        tip.style.left = `${surface.left - container.left + pos.x * transform.k + transform.x}px`;
+        tip.style.top = `${surface.top - container.top + (pos.y - radius) * transform.k + transform.y}px`;
+        tip.hidden = false;
+    }
+    
+    function hideImpactTip() {
+        document.getElementById('impactTip').hidden = true;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // FOCUS
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Focusing lays out only a quest's prerequisites and everything it
+    // unlocks. focusTrail holds each quest focused on the way in, so the
+    // breadcrumb can step back out.
+    function getGraphQuests() {
+        const focusId = focusTrail[focusTrail.length - 1];
+        if (!focusId) return data.quests;
+        
+        const ids = new Set(getAncestorPath(focusId).concat(getDescendants(focusId)));
+        return data.quests.filter(q => ids.has(q.id));
+    }
+    
+    // Focusing on a quest already in view goes one level deeper; any other
+    // starts a new trail, and one already on the trail steps back to it
+    function setFocus(id) {
+        if (!questMap.has(id)) return;
+        
+        const at = focusTrail.indexOf(id);
+        if (at >= 0) focusTrail = focusTrail.slice(0, at + 1);
+        else if (nodePositions.has(id)) focusTrail = focusTrail.concat(id);
+        else focusTrail = [id];
+        
+        showFocus();
+        announce(`Showing ${plural(nodePositions.size, 'quest')} around ${questMap.get(id).name}`);
+        writeUrlState(true);
+    }
+    
+    function clearFocus() {
+        if (focusTrail.length === 0) return;
+        focusTrail = [];
+        showFocus();
+        announce('Showing all quests');
+        writeUrlState(true);
+    }
+    
+    function showFocus() {
+        hideImpactTip();
+        renderGraph();
+        refreshProgress();
+        applyFilters();
+        markSelection();
+        renderFocusBar();
+        fitToView();
+    }
+    
+    function renderFocusBar() {
+        const bar = document.getElementById('focusBar');
+        bar.hidden = focusTrail.length === 0;
+        if (bar.hidden) return;
         
-        transform.x = rect.width / 2 - pos.x * transform.k;
-        transform.y = rect.height / 2 - pos.y * transform.k;
+        const last = focusTrail.length - 1;
+        bar.innerHTML = html`<button class="crumb" data-index="-1">All quests</button>${focusTrail.map((id, i) => html`
+            <span class="sep" aria-hidden="true">›</span>
+            <button class="crumb" data-index="${i}"${i === last && html` aria-current="true"`}>${questMap.get(id).name}</button>
+        `)}<span class="count">${plural(nodePositions.size, 'quest')}</span>`;
         
-        applyTransform(group);
+        bar.querySelectorAll('.crumb').forEach(btn => {
+            const index = Number(btn.dataset.index);
+            btn.addEventListener('click', () => {
+                if (index < 0) clearFocus();
+                else if (index < last) setFocus(focusTrail[index]);
+            });
+        });
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -515,6 +1737,7 @@
     function showPanel(id) {
         const quest = questMap.get(id);
         if (!quest) return;
+        if (editing) return showEditor(id);
         
         const panel = document.getElementById('panel');
         const title = document.getElementById('panelTitle');
@@ -522,153 +1745,2944 @@
         
         title.textContent = quest.name;
         
-        const color = CONFIG.traderColors[quest.trader] || CONFIG.traderColors[''];
-        
-        let html = `<div class="meta">`;
-        if (quest.trader) {
-            html += `<span class="tag trader">${quest.trader}</span>`;
-        }
-        html += `<span class="tag location">${quest.group}</span>`;
-        if (quest.inOneRound) {
-            html += `<span class="tag warning">Single Round</span>`;
-        }
-        html += `</div>`;
-        
-        if (quest.requiredLocations.length > 0) {
-            html += `<div class="section">
-                <div class="section-title">Locations</div>
-                <div class="meta">${quest.requiredLocations.map(l => `<span class="tag">${l}</span>`).join('')}</div>
-            </div>`;
-        }
-        
-        if (quest.objectives.length > 0) {
-            html += `<div class="section">
-                <div class="section-title">Objectives</div>
-                ${quest.objectives.map(o => `
-                    <div class="objective">
-                        <span class="check"></span>
-                        <span class="text">${o}</span>
-                    </div>
-                `).join('')}
-            </div>`;
-        }
+        const state = getQuestState(id);
+        const focused = focusTrail[focusTrail.length - 1] === id;
+        const origin = dataSources.length > 1 && sourceInfo.origins.get(id);
+        const unlocks = getUnlocks(id);
+        const downstream = unlocks.length > 0 ? getDescendants(id).length : 0;
+        const prerequisites = quest.prerequisites.filter(pid => questMap.has(pid)).map(pid => questMap.get(pid));
         
-        if (quest.rewards.length > 0) {
-            html += `<div class="section">
-                <div class="section-title">Rewards</div>
-                ${quest.rewards.map(r => `
-                    <div class="reward">
-                        <div class="icon">
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
-                            </svg>
-                        </div>
-                        <div class="info">
-                            <div class="name">${r.name}</div>
-                            <div class="qty">×${r.quantity}</div>
+        body.innerHTML = html`
+            <div class="meta">
+                <span class="tag state ${state}">${STATE_LABELS[state]}</span>
+                ${quest.trader && html`<span class="tag trader">${quest.trader}</span>`}
+                <span class="tag location">${quest.group}</span>
+                ${quest.inOneRound && html`<span class="tag warning">Single Round</span>`}
+            </div>
+            
+            <div class="panel-actions">
+                <button class="btn complete-btn${state === 'completed' ? ' done' : ''}" id="completeBtn">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M5 12l5 5L20 7"/>
+                    </svg>
+                    ${state === 'completed' ? 'Completed' : 'Mark complete'}
+                </button>
+                <button class="btn" id="planBtn" title="Plan a route to this quest">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="6" cy="19" r="3"/>
+                        <path d="M9 19h8.5a3.5 3.5 0 0 0 0-7h-11a3.5 3.5 0 0 1 0-7H15"/>
+                        <circle cx="18" cy="5" r="3"/>
+                    </svg>
+                    Route
+                </button>
+                <button class="btn${focused ? ' active' : ''}" id="focusBtn" title="${focused ? 'Show all quests' : 'Show only this quest\'s prerequisites and unlocks'}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="12" cy="12" r="3"/>
+                        <path d="M3 8V5a2 2 0 0 1 2-2h3M16 3h3a2 2 0 0 1 2 2v3M21 16v3a2 2 0 0 1-2 2h-3M8 21H5a2 2 0 0 1-2-2v-3"/>
+                    </svg>
+                    Focus
+                </button>
+            </div>
+            
+            ${quest.requiredLocations.length > 0 && html`
+                <div class="section">
+                    <div class="section-title">Locations</div>
+                    <div class="meta">${quest.requiredLocations.map(l => html`<span class="tag">${l}</span>`)}</div>
+                </div>
+            `}
+            
+            ${quest.objectives.length > 0 && html`
+                <div class="section">
+                    <div class="section-title">Objectives</div>
+                    ${quest.objectives.map((o, i) => renderObjective(id, o, i))}
+                </div>
+            `}
+            
+            ${quest.rewards.length > 0 && html`
+                <div class="section">
+                    <div class="section-title">Rewards</div>
+                    ${quest.rewards.map(r => html`
+                        <div class="reward">
+                            <div class="icon">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+                                </svg>
+                            </div>
+                            <div class="info">
+                                <div class="name">${r.name}</div>
+                                <div class="qty">×${r.quantity}</div>
+                            </div>
                         </div>
-                    </div>
-                `).join('')}
-            </div>`;
-        }
-        
-        if (quest.prerequisites.length > 0) {
-            html += `<div class="section">
-                <div class="section-title">Prerequisites</div>
-                ${quest.prerequisites.map(pid => {
-                    const p = questMap.get(pid);
-                    return p ? `
-                        <div class="link-item" data-id="${pid}">
+                    `)}
+                </div>
+            `}
+            
+            ${typeof quest.notes === 'string' && quest.notes.trim() && html`
+                <div class="section">
+                    <div class="section-title">Notes</div>
+                    <div class="notes">${quest.notes}</div>
+                </div>
+            `}
+            
+            ${origin && html`
+                <div class="section">
+                    <div class="section-title">Sources</div>
+                    <div class="source-field">Defined in ${origin.source}</div>
+                    ${Object.entries(origin.fields).map(([field, names]) => html`
+                        <div class="source-field">${humanize(field)} from ${names.join(', ')}</div>
+                    `)}
+                </div>
+            `}
+            
+            ${prerequisites.length > 0 && html`
+                <div class="section">
+                    <div class="section-title">Prerequisites</div>
+                    ${prerequisites.map(p => html`
+                        <div class="link-item" data-id="${p.id}">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M12 19l-7-7 7-7"/>
                             </svg>
                             <span>${p.name}</span>
                         </div>
-                    ` : '';
-                }).join('')}
-            </div>`;
-        }
-        
-        const unlocks = data.quests.filter(q => q.prerequisites.includes(id));
-        if (unlocks.length > 0) {
-            html += `<div class="section">
-                <div class="section-title">Unlocks</div>
-                ${unlocks.map(u => `
-                    <div class="link-item" data-id="${u.id}">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M12 5l7 7-7 7"/>
-                        </svg>
-                        <span>${u.name}</span>
-                    </div>
-                `).join('')}
-            </div>`;
-        }
+                    `)}
+                </div>
+            `}
+            
+            ${unlocks.length > 0 && html`
+                <div class="section">
+                    <div class="section-title">Unlocks</div>
+                    ${unlocks.map(u => html`
+                        <div class="link-item" data-id="${u.id}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M12 5l7 7-7 7"/>
+                            </svg>
+                            <span>${u.name}</span>
+                        </div>
+                    `)}
+                    ${downstream > unlocks.length && html`<p class="hint">${plural(downstream, 'quest')} depend on this one, directly or through others.</p>`}
+                </div>
+            `}
+        `;
         
-        body.innerHTML = html;
+        body.querySelectorAll('.quest-ref').forEach(el => {
+            el.addEventListener('click', e => {
+                e.preventDefault();
+                selectQuest(el.dataset.id);
+            });
+        });
         
         body.querySelectorAll('.link-item').forEach(el => {
             el.addEventListener('click', () => selectQuest(el.dataset.id));
         });
         
+        body.querySelectorAll('.objective').forEach(el => {
+            const index = Number(el.dataset.index);
+            el.querySelector('.check').addEventListener('click', () => toggleObjective(id, index));
+            
+            if (!el.classList.contains('counted')) return;
+            el.querySelector('.inc').addEventListener('click', () => {
+                setObjectiveProgress(id, index, getObjectiveProgress(id, index) + 1);
+            });
+            el.querySelector('.dec').addEventListener('click', () => {
+                setObjectiveProgress(id, index, getObjectiveProgress(id, index) - 1);
+            });
+        });
+        
+        document.getElementById('completeBtn').addEventListener('click', () => {
+            setQuestCompleted(id, !progress.completed.has(id));
+        });
+        
+        document.getElementById('planBtn').addEventListener('click', () => {
+            setRouteTarget({ type: 'quest', id });
+        });
+        
+        document.getElementById('focusBtn').addEventListener('click', () => {
+            if (focused) clearFocus();
+            else setFocus(id);
+        });
+        
         panel.classList.add('open');
     }
     
+    function renderObjective(id, objective, index) {
+        const done = isObjectiveDone(id, index);
+        if (!QuestObjectives.isStructured(objective)) {
+            return html`
+                <div class="objective${done ? ' done' : ''}" data-index="${index}">
+                    <span class="check"></span>
+                    <span class="text">${objectiveMarkup(objective)}</span>
+                </div>
+            `;
+        }
+        
+        const normalized = QuestObjectives.normalize(objective);
+        return html`
+            <div class="objective counted${done ? ' done' : ''}" data-index="${index}" data-type="${normalized.type}">
+                <span class="check"></span>
+                <span class="text">${objectiveMarkup(normalized.text)}</span>
+                <span class="counter">
+                    <button class="dec" title="Decrease">−</button>
+                    <span class="value">${getObjectiveProgress(id, index)}/${normalized.count}</span>
+                    <button class="inc" title="Increase">+</button>
+                </span>
+            </div>
+        `;
+    }
+    
+    // Objective text is plain unless the dataset opts in to the rich subset
+    // (see js/markup.js); quest references name quests from this dataset
+    function objectiveMarkup(text) {
+        if (!data.meta || data.meta.richText !== true) return text;
+        return QuestMarkup.rich(text, { questName: ref => questMap.has(ref) ? questMap.get(ref).name : null });
+    }
+    
     function hidePanel() {
         document.getElementById('panel').classList.remove('open');
         selectedId = null;
         clearHighlight();
-        document.querySelectorAll('.quest, .node').forEach(el => el.classList.remove('active', 'selected'));
+        document.querySelectorAll('.quest').forEach(el => el.classList.remove('active'));
+        renderer.clearMarks(['selected']);
+        writeUrlState(true);
     }
 
     // ═══════════════════════════════════════════════════════════════
-    // CONTROLS
+    // PROGRESS
     // ═══════════════════════════════════════════════════════════════
     
-    function setupControls() {
-        document.getElementById('zoomIn').addEventListener('click', () => {
-            const group = document.getElementById('graphGroup');
-            const svg = document.getElementById('graphSvg');
-            const rect = svg.getBoundingClientRect();
-            const cx = rect.width / 2;
-            const cy = rect.height / 2;
-            
-            const newK = Math.min(4, transform.k * 1.3);
-            transform.x = cx - (cx - transform.x) * (newK / transform.k);
-            transform.y = cy - (cy - transform.y) * (newK / transform.k);
-            transform.k = newK;
-            applyTransform(group);
-        });
-        
-        document.getElementById('zoomOut').addEventListener('click', () => {
-            const group = document.getElementById('graphGroup');
-            const svg = document.getElementById('graphSvg');
-            const rect = svg.getBoundingClientRect();
-            const cx = rect.width / 2;
-            const cy = rect.height / 2;
-            
-            const newK = Math.max(0.1, transform.k / 1.3);
-            transform.x = cx - (cx - transform.x) * (newK / transform.k);
-            transform.y = cy - (cy - transform.y) * (newK / transform.k);
-            transform.k = newK;
-            applyTransform(group);
+    const STATE_LABELS = {
+        completed: 'Completed',
+        available: 'Available',
+        locked: 'Locked'
+    };
+    
+    // Stored as { version, completed: [id], objectives: { id: [count per objective] } }.
+    // A legacy string objective counts to 1, a structured one to its `count`.
+    // A state's `carried` entries are written back as they were read.
+    function serializeProgress(state) {
+        const carried = state.carried || { completed: [], objectives: {} };
+        const objectives = Object.assign({}, carried.objectives);
+        state.objectives.forEach((values, id) => {
+            if (values.some(Boolean)) objectives[id] = values;
+        });
+        
+        return {
+            version: 1,
+            completed: [...new Set([...state.completed, ...carried.completed])],
+            objectives
+        };
+    }
+    
+    // Ids that don't exist in the dataset are returned in `unknown` and kept
+    // as stored in the state's `carried`, so viewing another dataset (an
+    // overlay, ?data= or ?stress=) and saving doesn't lose that progress
+    function parseProgress(raw) {
+        const result = { completed: new Set(), objectives: new Map(), carried: { completed: [], objectives: {} } };
+        const unknown = new Set();
+        
+        if (!raw || typeof raw !== 'object' || raw.version !== 1) {
+            throw new Error('Not a version 1 progress payload');
+        }
+        
+        (Array.isArray(raw.completed) ? raw.completed : []).forEach(id => {
+            if (questMap.has(id)) {
+                result.completed.add(id);
+            } else {
+                unknown.add(String(id));
+                result.carried.completed.push(String(id));
+            }
+        });
+        Object.entries(raw.objectives && typeof raw.objectives === 'object' ? raw.objectives : {}).forEach(([id, values]) => {
+            if (!Array.isArray(values)) return;
+            if (questMap.has(id)) {
+                result.objectives.set(id, values.map(v => Number(v) || 0));
+            } else {
+                unknown.add(id);
+                result.carried.objectives[id] = values.map(v => Number(v) || 0);
+            }
+        });
+        
+        return { progress: result, unknown: [...unknown] };
+    }
+    
+    function loadProgress(profileId = profiles.active) {
+        try {
+            const raw = JSON.parse(localStorage.getItem(progressKeyFor(profileId)));
+            if (raw) return parseProgress(raw).progress;
+        } catch (err) {
+            console.warn('Ignoring unreadable progress:', err);
+        }
+        
+        return { completed: new Set(), objectives: new Map() };
+    }
+    
+    function saveProgress() {
+        writeProgress(progressKeyFor(profiles.active), progress);
+    }
+    
+    function writeProgress(key, state) {
+        try {
+            localStorage.setItem(key, JSON.stringify(serializeProgress(state)));
+        } catch (err) {
+            console.warn('Failed to save progress:', err);
+        }
+    }
+    
+    function getQuestState(id) {
+        if (progress.completed.has(id)) return 'completed';
+        const quest = questMap.get(id);
+        if (!quest) return 'locked';
+        return quest.prerequisites.every(p => progress.completed.has(p)) ? 'available' : 'locked';
+    }
+    
+    function getObjectiveProgress(id, index) {
+        const quest = questMap.get(id);
+        const target = QuestObjectives.getCount(quest.objectives[index]);
+        if (progress.completed.has(id)) return target;
+        
+        const values = progress.objectives.get(id);
+        return Math.min(target, (values && values[index]) || 0);
+    }
+    
+    function isObjectiveDone(id, index) {
+        const quest = questMap.get(id);
+        return getObjectiveProgress(id, index) >= QuestObjectives.getCount(quest.objectives[index]);
+    }
+    
+    function setQuestCompleted(id, done) {
+        const quest = questMap.get(id);
+        if (!quest) return;
+        
+        if (done) {
+            progress.completed.add(id);
+            progress.objectives.set(id, quest.objectives.map(QuestObjectives.getCount));
+        } else {
+            progress.completed.delete(id);
+            progress.objectives.delete(id);
+        }
+        
+        saveProgress();
+        refreshProgress();
+    }
+    
+    function toggleObjective(id, index) {
+        const quest = questMap.get(id);
+        if (!quest) return;
+        
+        const target = QuestObjectives.getCount(quest.objectives[index]);
+        setObjectiveProgress(id, index, isObjectiveDone(id, index) ? 0 : target);
+    }
+    
+    function setObjectiveProgress(id, index, value) {
+        const quest = questMap.get(id);
+        if (!quest) return;
+        
+        const targets = quest.objectives.map(QuestObjectives.getCount);
+        const values = quest.objectives.map((_, i) => getObjectiveProgress(id, i));
+        values[index] = Math.max(0, Math.min(targets[index], value));
+        progress.objectives.set(id, values);
+        
+        // Finishing the last objective completes the quest, undoing one reopens it
+        if (values.every((v, i) => v >= targets[i])) progress.completed.add(id);
+        else progress.completed.delete(id);
+        
+        saveProgress();
+        refreshProgress();
+    }
+    
+    function refreshProgress() {
+        document.querySelectorAll('.quest').forEach(el => {
+            const state = getQuestState(el.dataset.id);
+            el.classList.toggle('completed', state === 'completed');
+            el.classList.toggle('available', state === 'available');
+            el.classList.toggle('locked', state === 'locked');
+        });
+        document.querySelectorAll('.group[data-group]').forEach(el => {
+            el.classList.toggle('waiting', !isGroupOpen(el.dataset.group));
+        });
+        nodePositions.forEach((_, id) => {
+            const state = getQuestState(id);
+            renderer.markNode(id, 'completed', state === 'completed');
+            renderer.markNode(id, 'available', state === 'available');
+            renderer.markNode(id, 'locked', state === 'locked');
+            renderer.label(id);
+        });
+        
+        updateStats();
+        markProfileDiff();
+        
+        if (activeView !== 'quests') {
+            renderActiveView();
+            applyFilters();
+        }
+        
+        const panel = document.getElementById('panel');
+        if (selectedId && panel.classList.contains('open')) showPanel(selectedId);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // NEXT UP
+    // ═══════════════════════════════════════════════════════════════
+    
+    function getUnlocks(id) {
+        return (questIndex.dependents.get(id) || []).map(d => questMap.get(d));
+    }
+    
+    // The frontier: quests not yet done whose prerequisites are all in `completed`
+    function getAvailableQuests(completed = progress.completed) {
+        return data.quests.filter(q =>
+            !completed.has(q.id) && q.prerequisites.every(p => completed.has(p))
+        );
+    }
+    
+    function renderNextList() {
+        const list = document.getElementById('nextList');
+        const available = getAvailableQuests();
+        list.innerHTML = '';
+        
+        if (available.length === 0) {
+            list.innerHTML = `<div class="empty">Nothing left to pick up.</div>`;
+            return;
+        }
+        
+        const grouped = groupBy(available, 'trader');
+        Object.keys(grouped).sort(byTraderOrder).forEach(trader => {
+            const quests = grouped[trader];
+            const div = createGroup(trader || 'Area Unlocks', quests.length, traderInfo.get(trader));
+            const items = div.querySelector('.group-items');
+            
+            quests.forEach(q => {
+                const item = createQuestItem(q);
+                const opens = getUnlocks(q.id);
+                
+                if (opens.length > 0) {
+                    // A follow-up is "ready" when this quest is its last missing prerequisite
+                    const links = opens.map(u => {
+                        const ready = u.prerequisites.every(p => p === q.id || progress.completed.has(p));
+                        return html`<span class="opens-item${ready && ' ready'}" data-id="${u.id}">${u.name}</span>`;
+                    });
+                    
+                    const div = document.createElement('div');
+                    div.className = 'opens';
+                    div.innerHTML = html`Opens ${join(links)}`;
+                    div.querySelectorAll('.opens-item').forEach(el => {
+                        el.addEventListener('click', e => {
+                            e.stopPropagation();
+                            selectQuest(el.dataset.id);
+                        });
+                    });
+                    item.appendChild(div);
+                }
+                
+                items.appendChild(item);
+            });
+            
+            list.appendChild(div);
+        });
+    }
+    
+    // Dataset order; quests without a trader go last
+    function byTraderOrder(a, b) {
+        if (!a) return 1;
+        if (!b) return -1;
+        return traderInfo.get(a).rank - traderInfo.get(b).rank;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // ROUTE PLANNER
+    // ═══════════════════════════════════════════════════════════════
+    
+    function setupRoutePlanner() {
+        const input = document.getElementById('routeTarget');
+        
+        populateRouteTargets();
+        
+        input.addEventListener('change', () => {
+            const value = input.value.trim();
+            const reward = value.match(/^Reward:\s*(.+)$/i);
+            const quest = data.quests.find(q => q.name.toLowerCase() === value.toLowerCase());
+            
+            if (reward) setRouteTarget({ type: 'reward', name: reward[1] });
+            else if (quest) setRouteTarget({ type: 'quest', id: quest.id });
+            else if (!value) setRouteTarget(null);
+        });
+        
+        document.getElementById('clearRoute').addEventListener('click', () => setRouteTarget(null));
+    }
+    
+    function populateRouteTargets() {
+        const options = document.getElementById('routeTargets');
+        options.innerHTML = '';
+        
+        data.quests.forEach(q => options.appendChild(new Option(q.name)));
+        buildRewardCatalog().forEach(entry => options.appendChild(new Option(`Reward: ${entry.name}`)));
+    }
+    
+    function setRouteTarget(target) {
+        routeTarget = target;
+        
+        const input = document.getElementById('routeTarget');
+        if (!target) input.value = '';
+        else if (target.type === 'quest') input.value = questMap.get(target.id).name;
+        else input.value = `Reward: ${target.name}`;
+        
+        if (activeView === 'route') {
+            renderRouteList();
+            applyFilters();
+        } else {
+            setView('route');
+        }
+    }
+    
+    // Resolves the target to a quest id. For a reward, picks the granting
+    // quest with the fewest remaining steps.
+    function resolveRouteTarget(target) {
+        if (target.type === 'quest') return questMap.has(target.id) ? target.id : null;
+        
+        const key = rewardKey(target.name);
+        const candidates = data.quests.filter(q => q.rewards.some(r => rewardKey(r.name) === key));
+        let best = null;
+        let bestCost = Infinity;
+        
+        candidates.forEach(q => {
+            if (progress.completed.has(q.id)) return;
+            const cost = getAncestorPath(q.id).filter(id => !progress.completed.has(id)).length;
+            if (cost < bestCost) {
+                best = q.id;
+                bestCost = cost;
+            }
+        });
+        
+        return best;
+    }
+    
+    // Orders the remaining ancestors of `targetId` topologically, greedily
+    // batching quests into raids. A raid holds quests whose locations overlap
+    // ("Any" fits everywhere) and never a quest together with its prerequisite,
+    // since follow-ups are only handed out after returning to the trader.
+    function planRoute(targetId, completed = progress.completed) {
+        const needed = getAncestorPath(targetId).filter(id => !completed.has(id));
+        const pending = new Set(needed);
+        const steps = [];
+        const raids = [];
+        let raid = null;
+        
+        while (pending.size > 0) {
+            const ready = needed.filter(id =>
+                pending.has(id) && questMap.get(id).prerequisites.every(p => !pending.has(p))
+            );
+            if (ready.length === 0) break;
+            
+            // Milestones are not raid work, take them as soon as they open
+            const unlock = ready.find(id => questMap.get(id).requiredLocations.length === 0);
+            if (unlock) {
+                steps.push({ id: unlock, raid: null });
+                pending.delete(unlock);
+                continue;
+            }
+            
+            const fitting = raid ? ready.filter(id => fitsRaid(questMap.get(id), raid)) : [];
+            let next;
+            
+            if (fitting.length > 0) {
+                next = maxBy(fitting, id => raidAffinity(questMap.get(id), raid));
+            } else {
+                next = maxBy(ready, id => sharedLocationCount(questMap.get(id), ready));
+                raid = { index: raids.length + 1, locations: new Set(), ids: new Set(), oneRound: false };
+                raids.push(raid);
+            }
+            
+            const quest = questMap.get(next);
+            getSpecificLocations(quest).forEach(l => raid.locations.add(l));
+            raid.ids.add(next);
+            raid.oneRound = raid.oneRound || quest.inOneRound;
+            
+            steps.push({ id: next, raid: raid.index });
+            pending.delete(next);
+        }
+        
+        return {
+            targetId,
+            steps,
+            raids: raids.map(r => ({ index: r.index, locations: [...r.locations] }))
+        };
+    }
+    
+    function getSpecificLocations(quest) {
+        return quest.requiredLocations.filter(l => l !== 'Any');
+    }
+    
+    function fitsRaid(quest, raid) {
+        if (quest.prerequisites.some(p => raid.ids.has(p))) return false;
+        
+        const locations = getSpecificLocations(quest);
+        if (locations.length === 0 || raid.locations.size === 0) return true;
+        return locations.some(l => raid.locations.has(l));
+    }
+    
+    function raidAffinity(quest, raid) {
+        const locations = getSpecificLocations(quest);
+        let score = locations.some(l => raid.locations.has(l)) ? 2 : 0;
+        if (quest.inOneRound && raid.oneRound) score += 1;
+        return score;
+    }
+    
+    // How many other ready quests could share a raid with this one
+    function sharedLocationCount(quest, ready) {
+        const locations = getSpecificLocations(quest);
+        return ready.filter(id => {
+            const other = getSpecificLocations(questMap.get(id));
+            return other.length === 0 || locations.length === 0 || other.some(l => locations.includes(l));
+        }).length;
+    }
+    
+    function renderRouteList() {
+        const list = document.getElementById('routeList');
+        list.innerHTML = '';
+        routePlan = null;
+        
+        if (!routeTarget) {
+            list.innerHTML = `<div class="empty">Pick a quest or reward to plan a route.</div>`;
+            return;
+        }
+        
+        const targetId = resolveRouteTarget(routeTarget);
+        if (!targetId) {
+            list.innerHTML = `<div class="empty">No remaining quest grants this reward.</div>`;
+            return;
+        }
+        
+        routePlan = planRoute(targetId);
+        if (routePlan.steps.length === 0) {
+            list.innerHTML = html`<div class="empty">${questMap.get(targetId).name} is already completed.</div>`;
+            return;
+        }
+        
+        const summary = document.createElement('div');
+        summary.className = 'route-summary';
+        summary.textContent = `${routePlan.steps.length} quests · ${routePlan.raids.length} raids to ${questMap.get(targetId).name}`;
+        list.appendChild(summary);
+        
+        // Consecutive steps of the same raid (or run of unlocks) share a group
+        let current = null;
+        let stepNumber = 0;
+        routePlan.steps.forEach(step => {
+            if (!current || current.raid !== step.raid) {
+                const raid = routePlan.raids.find(r => r.index === step.raid);
+                const title = raid
+                    ? `Raid ${raid.index} · ${raid.locations.join(', ') || 'Any'}`
+                    : 'Unlock';
+                current = { raid: step.raid, div: createGroup(title, 0) };
+                list.appendChild(current.div);
+            }
+            
+            const item = createQuestItem(questMap.get(step.id));
+            item.insertAdjacentHTML('afterbegin', html`<span class="step">${++stepNumber}</span>`);
+            current.div.querySelector('.group-items').appendChild(item);
+            current.div.querySelector('.count').textContent = current.div.querySelectorAll('.quest').length;
+        });
+    }
+
+
+    // ═══════════════════════════════════════════════════════════════
+    // SHOPPING LIST
+    // ═══════════════════════════════════════════════════════════════
+    
+    function setupItemsView() {
+        document.getElementById('itemsScope').addEventListener('change', renderItemsList);
+        document.getElementById('exportItemsTxt').addEventListener('click', () => exportItems('txt'));
+        document.getElementById('exportItemsCsv').addEventListener('click', () => exportItems('csv'));
+    }
+    
+    function getItemsScopeQuests() {
+        const scope = document.getElementById('itemsScope').value;
+        
+        if (scope === 'route') {
+            const targetId = routeTarget && resolveRouteTarget(routeTarget);
+            return targetId ? planRoute(targetId).steps.map(s => questMap.get(s.id)) : [];
+        }
+        if (scope === 'available') return getAvailableQuests();
+        return data.quests.filter(q => !progress.completed.has(q.id));
+    }
+    
+    // Sums what the unfinished objectives of `quests` still need, per item.
+    // Counted objectives only ask for what is left of their count.
+    function collectItems(quests) {
+        const items = new Map();
+        
+        quests.forEach(q => {
+            q.objectives.forEach((o, i) => {
+                if (isObjectiveDone(q.id, i)) return;
+                
+                const target = QuestObjectives.getCount(o);
+                const remaining = target - getObjectiveProgress(q.id, i);
+                
+                QuestObjectives.requiredItems(o).forEach(({ name, count }) => {
+                    const needed = QuestObjectives.isStructured(o) && target > 1
+                        ? Math.ceil(count * remaining / target)
+                        : count;
+                    const key = QuestObjectives.itemKey(name);
+                    
+                    if (!items.has(key)) items.set(key, { name, total: 0, quests: [] });
+                    const entry = items.get(key);
+                    entry.total += needed;
+                    
+                    const use = entry.quests.find(u => u.id === q.id);
+                    if (use) use.count += needed;
+                    else entry.quests.push({ id: q.id, count: needed });
+                });
+            });
+        });
+        
+        return [...items.values()].sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+    }
+    
+    function renderItemsList() {
+        const list = document.getElementById('itemsList');
+        const scope = document.getElementById('itemsScope').value;
+        const items = collectItems(getItemsScopeQuests());
+        list.innerHTML = '';
+        
+        if (items.length === 0) {
+            const message = scope === 'route' && !routeTarget
+                ? 'Plan a route first to list its items.'
+                : 'No items needed.';
+            list.innerHTML = html`<div class="empty">${message}</div>`;
+            return;
+        }
+        
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'item-row';
+            row.innerHTML = html`
+                <div class="item-head">
+                    <span class="item-name">${item.name}</span>
+                    <span class="item-total">×${item.total}</span>
+                </div>
+                <div class="item-quests">
+                    ${item.quests.map(u => html`
+                        <span class="item-quest" data-id="${u.id}">${questMap.get(u.id).name}${item.quests.length > 1 && ` ×${u.count}`}</span>
+                    `)}
+                </div>
+            `;
+            row.querySelectorAll('.item-quest').forEach(el => {
+                el.addEventListener('click', () => selectQuest(el.dataset.id));
+            });
+            list.appendChild(row);
+        });
+    }
+    
+    function exportItems(format) {
+        const scope = document.getElementById('itemsScope');
+        const items = collectItems(getItemsScopeQuests());
+        const questNames = item => item.quests.map(u => questMap.get(u.id).name);
+        let content;
+        
+        if (format === 'csv') {
+            const rows = [['Item', 'Quantity', 'Quests']].concat(
+                items.map(item => [item.name, item.total, questNames(item).join('; ')])
+            );
+            content = rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+        } else {
+            const label = scope.options[scope.selectedIndex].text;
+            content = [`Arc Raiders — items needed (${label.toLowerCase()})`, '']
+                .concat(items.map(item => `${item.total}× ${item.name} — ${questNames(item).join(', ')}`))
+                .join('\n');
+        }
+        
+        downloadFile(`arc-raiders-items.${format}`, content, format === 'csv' ? 'text/csv' : 'text/plain');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // REWARDS
+    // ═══════════════════════════════════════════════════════════════
+    
+    function setupRewardsView() {
+        document.getElementById('rewardFilter').addEventListener('input', debounce(renderRewardsList, 150));
+    }
+    
+    function rewardKey(name) {
+        return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+    
+    // "80" -> 80, "x3" -> 3; anything without a number counts as one
+    function parseQuantity(quantity) {
+        const m = String(quantity).match(/\d+(?:\.\d+)?/);
+        return m ? Number(m[0]) : 1;
+    }
+    
+    // One entry per distinct reward name, listing every quest that grants it
+    function buildRewardCatalog() {
+        const catalog = new Map();
+        
+        data.quests.forEach(q => {
+            q.rewards.forEach(r => {
+                const key = rewardKey(r.name);
+                const quantity = parseQuantity(r.quantity);
+                
+                if (!catalog.has(key)) {
+                    catalog.set(key, { key, name: String(r.name).trim().replace(/\s+/g, ' '), total: 0, quests: [] });
+                }
+                const entry = catalog.get(key);
+                entry.total += quantity;
+                entry.quests.push({ id: q.id, quantity });
+            });
+        });
+        
+        return [...catalog.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    function getRewardPathIds(key) {
+        const entry = buildRewardCatalog().find(e => e.key === key);
+        const ids = new Set();
+        if (entry) entry.quests.forEach(u => getAncestorPath(u.id).forEach(id => ids.add(id)));
+        return ids;
+    }
+    
+    function setRewardFocus(key) {
+        rewardFocus = rewardFocus === key ? null : key;
+        renderRewardsList();
+        applyFilters();
+    }
+    
+    function renderRewardsList() {
+        const list = document.getElementById('rewardsList');
+        const filter = document.getElementById('rewardFilter').value.toLowerCase().trim();
+        const catalog = buildRewardCatalog();
+        list.innerHTML = '';
+        
+        const remaining = entry => entry.quests
+            .filter(u => !progress.completed.has(u.id))
+            .reduce((sum, u) => sum + u.quantity, 0);
+        
+        const openQuests = data.quests.filter(q => !progress.completed.has(q.id) && q.rewards.length > 0);
+        const openEntries = catalog.filter(entry => remaining(entry) > 0);
+        const summary = document.createElement('div');
+        summary.className = 'route-summary';
+        summary.textContent = `${openEntries.length} of ${catalog.length} rewards still available from ${openQuests.length} quests`;
+        list.appendChild(summary);
+        
+        catalog.filter(entry => !filter || entry.key.includes(filter)).forEach(entry => {
+            const left = remaining(entry);
+            const row = document.createElement('div');
+            row.className = `item-row reward-row${entry.key === rewardFocus ? ' active' : ''}${left === 0 ? ' claimed' : ''}`;
+            row.innerHTML = html`
+                <div class="item-head">
+                    <span class="item-name">${entry.name}</span>
+                    ${left > 0 && left < entry.total && html`<span class="item-left">${left} left</span>`}
+                    <span class="item-total">×${entry.total}</span>
+                </div>
+                <div class="item-quests">
+                    ${entry.quests.map(u => html`
+                        <span class="item-quest${progress.completed.has(u.id) && ' done'}" data-id="${u.id}">${questMap.get(u.id).name}${entry.quests.length > 1 && ` ×${u.quantity}`}</span>
+                    `)}
+                </div>
+            `;
+            
+            row.querySelector('.item-head').addEventListener('click', () => setRewardFocus(entry.key));
+            row.querySelectorAll('.item-quest').forEach(el => {
+                el.addEventListener('click', () => selectQuest(el.dataset.id));
+            });
+            list.appendChild(row);
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // LOCATIONS
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Clusters quests by the map they are progressed on. Quests without a
+    // specific map ("Any") float above the clusters since they fit every raid.
+    function setupLocationsView() {
+        document.getElementById('locationState').addEventListener('change', () => {
+            renderLocationsList();
+            applyFilters();
+        });
+        document.getElementById('locationOneRound').addEventListener('change', () => {
+            renderLocationsList();
+            applyFilters();
+        });
+    }
+    
+    function getLocationScopeQuests() {
+        const scope = document.getElementById('locationState').value;
+        const oneRound = document.getElementById('locationOneRound').checked;
+        
+        const quests = scope === 'available' ? getAvailableQuests()
+            : scope === 'open' ? data.quests.filter(q => !progress.completed.has(q.id))
+            : data.quests;
+        return oneRound ? quests.filter(q => q.inOneRound) : quests;
+    }
+    
+    // Largest cluster first; `anywhere` holds the quests that fit any map
+    function clusterByLocation(quests) {
+        const clusters = new Map();
+        const anywhere = [];
+        
+        quests.forEach(q => {
+            const locations = getSpecificLocations(q);
+            if (locations.length === 0) anywhere.push(q);
+            locations.forEach(l => {
+                if (!clusters.has(l)) clusters.set(l, []);
+                clusters.get(l).push(q);
+            });
+        });
+        
+        const sorted = [...clusters.entries()].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+        return { clusters: sorted, anywhere };
+    }
+    
+    function setLocationFocus(location) {
+        locationFocus = locationFocus === location ? null : location;
+        renderLocationsList();
+        applyFilters();
+    }
+    
+    function renderLocationsList() {
+        const list = document.getElementById('locationList');
+        const { clusters, anywhere } = clusterByLocation(getLocationScopeQuests());
+        list.innerHTML = '';
+        
+        if (locationFocus && !clusters.some(([location]) => location === locationFocus)) locationFocus = null;
+        
+        if (clusters.length === 0 && anywhere.length === 0) {
+            list.innerHTML = `<div class="empty">No quests match these filters.</div>`;
+            return;
+        }
+        
+        const addCluster = (title, quests, location) => {
+            const div = createGroup(title, quests.length);
+            div.classList.add('location-group');
+            div.querySelector('.group-header span').insertAdjacentHTML('beforebegin',
+                html`<span class="dot" style="background: ${locationColor(location || 'Any')}"></span>`);
+            
+            if (location) {
+                div.classList.toggle('active', location === locationFocus);
+                const focus = document.createElement('button');
+                focus.className = 'focus-btn';
+                focus.title = location === locationFocus ? 'Show every map again' : `Show only ${location} and anywhere quests on the graph`;
+                focus.textContent = location === locationFocus ? 'Showing' : 'Show';
+                focus.addEventListener('click', e => {
+                    e.stopPropagation();
+                    setLocationFocus(location);
+                });
+                div.querySelector('.count').before(focus);
+            } else {
+                div.classList.add('floating');
+            }
+            
+            const items = div.querySelector('.group-items');
+            quests.forEach(q => {
+                const item = createQuestItem(q);
+                const others = getSpecificLocations(q).filter(l => l !== location);
+                if (others.length > 0) item.insertAdjacentHTML('beforeend', html`<span class="trader">+${join(others)}</span>`);
+                items.appendChild(item);
+            });
+            list.appendChild(div);
+        };
+        
+        if (anywhere.length > 0) addCluster('Any map', anywhere, null);
+        clusters.forEach(([location, quests]) => addCluster(location, quests, location));
+    }
+    
+    function getLocationModeIds() {
+        const { clusters, anywhere } = clusterByLocation(getLocationScopeQuests());
+        const ids = new Set(anywhere.map(q => q.id));
+        clusters.forEach(([location, quests]) => {
+            if (!locationFocus || location === locationFocus) quests.forEach(q => ids.add(q.id));
+        });
+        return ids;
+    }
+    
+    // Known maps have fixed colours; others get one derived from their name
+    function locationColor(location) {
+        if (CONFIG.locationColors[location]) return CONFIG.locationColors[location];
+        const hash = [...location].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 7);
+        return CONFIG.memberColors[hash % CONFIG.memberColors.length];
+    }
+    
+    function nodeColor(quest) {
+        if (CONFIG.colorBy === 'location') return locationColor(getSpecificLocations(quest)[0] || 'Any');
+        return traderColor(quest.trader);
+    }
+    
+    function setColorBy(mode) {
+        CONFIG.colorBy = mode;
+        try {
+            localStorage.setItem(CONFIG.colorKey, mode);
+        } catch (err) {
+            console.warn('Failed to save colour preference:', err);
+        }
+        
+        renderer.recolor();
+        renderMinimap();
+        renderLegend();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DEEP LINKS
+    // ═══════════════════════════════════════════════════════════════
+    
+    // The hash carries selection, filters and viewport:
+    // #q=<quest id>&focus=<id>,<id>&region=<group>&trader=<name>&search=<query>&anc=1&x=<px>&y=<px>&k=<zoom>
+    // Selecting a quest pushes a history entry, everything else replaces it.
+    function buildUrlHash() {
+        const params = new URLSearchParams();
+        const region = document.getElementById('regionFilter').value;
+        const trader = document.getElementById('traderFilter').value;
+        const search = document.getElementById('search').value.trim();
+        
+        if (selectedId) params.set('q', selectedId);
+        if (focusTrail.length > 0) params.set('focus', focusTrail.join(','));
+        if (region !== 'all') params.set('region', region);
+        if (trader !== 'all') params.set('trader', trader);
+        if (search) params.set('search', search);
+        if (search && searchAncestors) params.set('anc', 1);
+        params.set('x', Math.round(transform.x));
+        params.set('y', Math.round(transform.y));
+        params.set('k', Number(transform.k.toFixed(3)));
+        
+        return `#${params.toString()}`;
+    }
+    
+    function writeUrlState(push) {
+        if (restoringUrl || !data) return;
+        
+        const hash = buildUrlHash();
+        if (hash === location.hash) return;
+        
+        if (push) history.pushState(null, '', hash);
+        else history.replaceState(null, '', hash);
+    }
+    
+    const scheduleUrlUpdate = debounce(() => writeUrlState(false), 300);
+    
+    function restoreUrlState() {
+        const params = new URLSearchParams(location.hash.slice(1));
+        if ([...params.keys()].length === 0) return;
+        
+        restoringUrl = true;
+        try {
+            const setSelect = (elId, value) => {
+                const sel = document.getElementById(elId);
+                sel.value = [...sel.options].some(o => o.value === value) ? value : 'all';
+            };
+            setSelect('regionFilter', params.get('region') || 'all');
+            setSelect('traderFilter', params.get('trader') || 'all');
+            document.getElementById('search').value = params.get('search') || '';
+            searchAncestors = params.get('anc') === '1';
+            searchKey = null;
+            
+            const trail = (params.get('focus') || '').split(',').filter(id => questMap.has(id));
+            if (trail.join(',') !== focusTrail.join(',')) {
+                focusTrail = trail;
+                showFocus();
+            }
+            applyFilters();
+            
+            const id = params.get('q');
+            if (id && questMap.has(id)) {
+                selectQuest(id);
+            } else {
+                if (selectedId) hidePanel();
+                if (id) showNotice(`This link points to a quest that no longer exists ("${id}").`);
+            }
+            
+            const x = Number(params.get('x'));
+            const y = Number(params.get('y'));
+            const k = Number(params.get('k'));
+            if (params.has('k') && [x, y, k].every(Number.isFinite) && k > 0) {
+                setTransform({ x, y, k });
+            }
+        } finally {
+            restoringUrl = false;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // IMPORT / EXPORT
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Share codes are "AR1." + base64url(deflate(JSON)) where the browser can
+    // compress, or "AR0." + base64url(JSON) where it cannot
+    const SHARE_PREFIX = { deflate: 'AR1.', plain: 'AR0.' };
+    
+    function setupTransfer() {
+        const modal = document.getElementById('transferModal');
+        
+        document.getElementById('transferBtn').addEventListener('click', () => {
+            document.getElementById('transferReport').textContent = '';
+            modal.hidden = false;
+        });
+        document.getElementById('closeTransfer').addEventListener('click', () => modal.hidden = true);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) modal.hidden = true;
+        });
+        
+        document.getElementById('exportProgress').addEventListener('click', exportProgressFile);
+        document.getElementById('copyShareCode').addEventListener('click', async () => {
+            const code = await encodeShareCode(serializeProgress(progress));
+            const field = document.getElementById('shareCode');
+            field.value = code;
+            field.select();
+            try {
+                await navigator.clipboard.writeText(code);
+                reportTransfer(`Share code copied (${code.length} characters).`);
+            } catch (err) {
+                reportTransfer('Share code ready, copy it from the box.');
+            }
+        });
+        
+        document.getElementById('importProgressFile').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                importProgress(JSON.parse(await file.text()));
+            } catch (err) {
+                reportTransfer(`Could not read ${file.name}: ${err.message}`, true);
+            }
+        });
+        
+        document.getElementById('importShareCode').addEventListener('click', async () => {
+            const code = document.getElementById('shareCode').value.trim();
+            if (!code) return;
+            
+            try {
+                importProgress(await decodeShareCode(code));
+            } catch (err) {
+                reportTransfer(`Invalid share code: ${err.message}`, true);
+            }
+        });
+    }
+    
+    function reportTransfer(message, isError) {
+        const el = document.getElementById('transferReport');
+        el.textContent = message;
+        el.classList.toggle('error', !!isError);
+    }
+    
+    function exportProgressFile() {
+        const payload = Object.assign({
+            format: 'arcraiders-progress',
+            exported: new Date().toISOString(),
+            dataVersion: data.meta && data.meta.version
+        }, serializeProgress(progress));
+        
+        const stamp = new Date().toISOString().slice(0, 10);
+        downloadFile(`arc-raiders-progress-${stamp}.json`, JSON.stringify(payload, null, 2), 'application/json');
+        reportTransfer(`Exported ${plural(progress.completed.size, 'completed quest')}.`);
+    }
+    
+    // Merge keeps everything done on either side, counters take the higher value.
+    // Replace drops the old progress entirely, ids outside this dataset too;
+    // the file's own unknown ids are skipped in either mode.
+    function importProgress(raw) {
+        const { progress: incoming, unknown } = parseProgress(raw);
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        
+        if (mode === 'replace') {
+            progress = { completed: incoming.completed, objectives: incoming.objectives };
+        } else {
+            incoming.completed.forEach(id => progress.completed.add(id));
+            incoming.objectives.forEach((values, id) => {
+                const current = progress.objectives.get(id) || [];
+                progress.objectives.set(id, values.map((v, i) => Math.max(v, current[i] || 0)));
+            });
+        }
+        
+        saveProgress();
+        refreshProgress();
+        
+        let message = `${mode === 'replace' ? 'Replaced with' : 'Merged'} ${plural(incoming.completed.size, 'completed quest')}.`;
+        if (unknown.length > 0) {
+            message += ` Skipped ${plural(unknown.length, 'id')} not in this dataset: ${unknown.join(', ')}.`;
+        }
+        reportTransfer(message, false);
+    }
+    
+    async function encodeShareCode(payload) {
+        const compact = JSON.stringify({ v: payload.version, c: payload.completed, o: payload.objectives });
+        let bytes = new TextEncoder().encode(compact);
+        
+        if (typeof CompressionStream === 'undefined') {
+            return SHARE_PREFIX.plain + toBase64Url(bytes);
+        }
+        
+        bytes = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+        return SHARE_PREFIX.deflate + toBase64Url(bytes);
+    }
+    
+    async function decodeShareCode(code) {
+        const prefix = code.slice(0, 4);
+        let bytes = fromBase64Url(code.slice(4));
+        
+        if (prefix === SHARE_PREFIX.deflate) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('this browser cannot decompress share codes');
+            }
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (prefix !== SHARE_PREFIX.plain) {
+            throw new Error('unrecognised format');
+        }
+        
+        const compact = JSON.parse(new TextDecoder().decode(bytes));
+        return { version: compact.v, completed: compact.c, objectives: compact.o };
+    }
+    
+    async function pipeBytes(bytes, stream) {
+        const out = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(out).arrayBuffer());
+    }
+    
+    function toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(b => binary += String.fromCharCode(b));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    function fromBase64Url(str) {
+        const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // GRAPH EXPORT
+    // ═══════════════════════════════════════════════════════════════
+    
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const PNG_MAX_SIDE = 16384;
+    
+    function setupGraphExport() {
+        const modal = document.getElementById('exportModal');
+        const area = () => document.querySelector('input[name="exportArea"]:checked').value;
+        
+        document.getElementById('exportBtn').addEventListener('click', () => modal.hidden = false);
+        document.getElementById('closeExport').addEventListener('click', () => modal.hidden = true);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) modal.hidden = true;
+        });
+        
+        document.getElementById('exportSvg').addEventListener('click', () => exportSvg(area()));
+        document.getElementById('exportPng').addEventListener('click', () => {
+            exportPng(area(), Number(document.getElementById('pngScale').value));
+        });
+        document.getElementById('exportChecklist').addEventListener('click', exportChecklist);
+        document.getElementById('printChecklist').addEventListener('click', printChecklist);
+        
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('print-checklist');
+            document.getElementById('printArea').innerHTML = '';
+        });
+    }
+    
+    function exportStamp() {
+        return new Date().toISOString().slice(0, 10);
+    }
+    
+    function exportSvg(area) {
+        downloadFile(`arc-raiders-quests-${exportStamp()}.svg`, buildGraphSvg(area).text, 'image/svg+xml');
+    }
+    
+    // Renders the standalone SVG onto a canvas `scale` times its size
+    async function exportPng(area, scale) {
+        const svg = buildGraphSvg(area);
+        const width = Math.round(svg.width * scale);
+        const height = Math.round(svg.height * scale);
+        if (width > PNG_MAX_SIDE || height > PNG_MAX_SIDE) {
+            showNotice(`A ${width}×${height} image is too large to draw; pick a smaller scale.`);
+            return;
+        }
+        
+        const url = URL.createObjectURL(new Blob([svg.text], { type: 'image/svg+xml' }));
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('the SVG could not be rendered'));
+                img.src = url;
+            });
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.drawImage(image, 0, 0, svg.width, svg.height);
+            
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error('the browser could not encode the image');
+            downloadFile(`arc-raiders-quests-${exportStamp()}@${scale}x.png`, blob, 'image/png');
+        } catch (err) {
+            console.error('PNG export failed:', err);
+            showNotice(`PNG export failed: ${err.message}`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    /**
+     * A standalone copy of the graph. Quests hidden by the filters are left
+     * out, and the css/styles.css rules that apply are embedded along with
+     * the theme variables, so completion colouring survives.
+     * @param {'view'|'full'} area the current viewport, or every shown quest fitted
+     * @returns {{ text: string, width: number, height: number }}
+     */
+    function buildGraphSvg(area) {
+        const svg = document.getElementById('graphSvg').cloneNode(true);
+        const shown = id => !visibleIds || visibleIds.has(id);
+        const linksG = svg.querySelector('#links');
+        const nodesG = svg.querySelector('#nodes');
+        
+        // Drawn afresh from the layout and the renderer's marks, since the
+        // canvas renderer leaves the SVG empty
+        linksG.innerHTML = '';
+        nodesG.innerHTML = '';
+        graphLinks.forEach((link, key) => {
+            if (!shown(link.from) || !shown(link.to)) return;
+            const path = createLinkElement(key);
+            path.classList.add(...renderer.linkClasses(key).filter(cls => cls !== 'dimmed'));
+            linksG.appendChild(path);
+        });
+        getGraphQuests().forEach(quest => {
+            if (!nodePositions.has(quest.id) || !shown(quest.id)) return;
+            const g = createNodeElement(quest);
+            g.classList.add(...renderer.nodeClasses(quest.id).filter(cls => cls !== 'dimmed' && cls !== 'cursor'));
+            const badge = createChangeBadge(quest.id);
+            if (badge) g.appendChild(badge);
+            if (activeView === 'squad') g.appendChild(createSquadPips(quest.id));
+            nodesG.appendChild(g);
+        });
+        
+        svg.querySelectorAll('[tabindex], [role]').forEach(el => {
+            ['tabindex', 'role', 'aria-label'].forEach(attr => el.removeAttribute(attr));
+        });
+        ['id', 'class', 'role', 'aria-label', 'hidden'].forEach(attr => svg.removeAttribute(attr));
+        
+        let width;
+        let height;
+        if (area === 'full') {
+            const box = getGraphBounds(shown);
+            const padding = 40;
+            width = Math.ceil(box.width + padding * 2);
+            height = Math.ceil(box.height + padding * 2);
+            svg.querySelector('#graphGroup').setAttribute('transform', `translate(${padding - box.x}, ${padding - box.y})`);
+        } else {
+            const rect = getViewportRect();
+            width = Math.round(rect.width);
+            height = Math.round(rect.height);
+            svg.querySelector('#graphGroup').setAttribute('transform', `translate(${transform.x}, ${transform.y}) scale(${transform.k})`);
+        }
+        
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        
+        const style = document.createElementNS(SVG_NS, 'style');
+        style.textContent = collectCss(svg, 'svg') +
+            `\nsvg { font-family: ${getComputedStyle(document.body).fontFamily || 'sans-serif'}; }`;
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `Arc Raiders quest graph (${exportStamp()})`;
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.setAttribute('width', '100%');
+        background.setAttribute('height', '100%');
+        background.setAttribute('style', 'fill: var(--bg-canvas)');
+        svg.prepend(title, style, background);
+        
+        const text = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}\n`;
+        return { text, width, height };
+    }
+    
+    // Layout-space box around the shown nodes and their labels
+    function getGraphBounds(shown) {
+        let ids = [...nodePositions.keys()].filter(shown);
+        if (ids.length === 0) ids = [...nodePositions.keys()];
+        
+        const xs = ids.map(id => nodePositions.get(id).x);
+        const ys = ids.map(id => nodePositions.get(id).y);
+        // Labels are centred under the node, up to 18 characters wide
+        const x = Math.min(...xs) - 60;
+        const y = Math.min(...ys) - 16;
+        return { x, y, width: Math.max(...xs) + 60 - x, height: Math.max(...ys) + 30 - y };
+    }
+    
+    /**
+     * The app stylesheet rules that match `root` or something inside it, with
+     * the :root variables moved onto `scope`. Interactive states such as
+     * :hover never match a detached copy, so they drop out.
+     */
+    function collectCss(root, scope) {
+        const rules = [];
+        let variables = '';
+        const matches = selector => selector.split(',').some(part => {
+            try {
+                return root.matches(part) || !!root.querySelector(part);
+            } catch (err) {
+                return false;
+            }
+        });
+        
+        [...document.styleSheets].forEach(sheet => {
+            let list;
+            try {
+                list = sheet.cssRules;
+            } catch (err) {
+                return;
+            }
+            [...list].forEach(rule => {
+                if (rule.selectorText === ':root') variables = rule.style.cssText;
+                else if (rule.selectorText && matches(rule.selectorText)) rules.push(rule.cssText);
+            });
+        });
+        
+        return [`${scope} { ${variables} }`].concat(rules).join('\n');
+    }
+    
+    // Visible quests with every quest after its prerequisites, grouped by
+    // region and then trader in the order each first comes up
+    function getChecklistSections() {
+        const depths = new Map();
+        const depthOf = (id, trail = new Set()) => {
+            if (depths.has(id)) return depths.get(id);
+            const quest = questMap.get(id);
+            if (!quest || trail.has(id)) return 0;
+            trail.add(id);
+            const depth = quest.prerequisites.reduce((max, p) => Math.max(max, depthOf(p, trail) + 1), 0);
+            trail.delete(id);
+            depths.set(id, depth);
+            return depth;
+        };
+        
+        const ordered = data.quests
+            .filter(q => !visibleIds || visibleIds.has(q.id))
+            .map((quest, order) => ({ quest, order, depth: depthOf(quest.id) }))
+            .sort((a, b) => a.depth - b.depth || a.order - b.order)
+            .map(entry => entry.quest);
+        
+        const sections = new Map();
+        ordered.forEach(q => {
+            if (!sections.has(q.group)) sections.set(q.group, new Map());
+            const traders = sections.get(q.group);
+            if (!traders.has(q.trader)) traders.set(q.trader, []);
+            traders.get(q.trader).push(q);
+        });
+        return sections;
+    }
+    
+    function buildChecklistHtml() {
+        const sections = getChecklistSections();
+        const count = [...sections.values()].reduce((sum, traders) => sum + [...traders.values()].flat().length, 0);
+        const version = data.meta && data.meta.version !== undefined && ` · data v${data.meta.version}`;
+        const check = done => html`<input type="checkbox"${done && ' checked'}>`;
+        
+        return html`
+            <h1>Arc Raiders quest checklist</h1>
+            <p class="checklist-meta">${plural(count, 'quest')} · ${getActiveProfile().name} · ${exportStamp()}${version}</p>
+            ${[...sections].map(([group, traders]) => html`<section><h2>${group}</h2>${[...traders].map(([trader, quests]) => html`
+                <h3>${trader || 'Area unlocks'}</h3>
+                <ul class="checklist-quests">
+                    ${quests.map(q => {
+                        const after = q.prerequisites.filter(p => questMap.has(p)).map(p => questMap.get(p).name);
+                        return html`
+                            <li>
+                                <label class="checklist-quest">${check(progress.completed.has(q.id))} ${q.name}</label>
+                                ${after.length > 0 && html`<span class="checklist-after">after ${join(after)}</span>`}
+                                <ul class="checklist-objectives">
+                                    ${q.objectives.map((o, i) => {
+                                        const times = QuestObjectives.getCount(o);
+                                        return html`<li><label>${check(isObjectiveDone(q.id, i))} ${QuestObjectives.getText(o)}${times > 1 && ` (×${times})`}</label></li>`;
+                                    })}
+                                </ul>
+                                ${q.rewards.length > 0 && html`<div class="checklist-rewards">Rewards: ${join(q.rewards.map(r => `${r.name} ×${r.quantity}`))}</div>`}
+                            </li>
+                        `;
+                    })}
+                </ul>
+            `)}</section>`)}
+        `;
+    }
+    
+    function exportChecklist() {
+        const root = document.createElement('div');
+        root.className = 'checklist';
+        root.innerHTML = buildChecklistHtml();
+        
+        const content = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Arc Raiders quest checklist</title>
+<style>
+${collectCss(root, ':root')}
+</style>
+</head>
+<body>
+${root.outerHTML}
+</body>
+</html>
+`;
+        downloadFile(`arc-raiders-checklist-${exportStamp()}.html`, content, 'text/html');
+    }
+    
+    function printChecklist() {
+        document.getElementById('exportModal').hidden = true;
+        document.getElementById('printArea').innerHTML = html`<div class="checklist">${buildChecklistHtml()}</div>`;
+        document.body.classList.add('print-checklist');
+        window.print();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SQUAD
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Member 0 is always the live local progress; the others are snapshots
+    // stored as { name, include, progress: serialized progress }.
+    function setupSquad() {
+        squad = loadSquad();
+        
+        document.getElementById('addSquadCode').addEventListener('click', async () => {
+            const field = document.getElementById('squadCode');
+            const code = field.value.trim();
+            if (!code) return;
+            
+            try {
+                addSquadMember(`Player ${squad.length + 1}`, await decodeShareCode(code));
+                field.value = '';
+            } catch (err) {
+                showNotice(`Invalid share code: ${err.message}`);
+            }
+        });
+        
+        document.getElementById('addSquadFile').addEventListener('change', async e => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            
+            for (const file of files) {
+                try {
+                    const raw = JSON.parse(await file.text());
+                    addSquadMember(raw.name || file.name.replace(/\.json$/i, ''), raw);
+                } catch (err) {
+                    showNotice(`Could not read ${file.name}: ${err.message}`);
+                }
+            }
+        });
+        
+        // A saved profile joins as a snapshot of its progress, like a share code
+        document.getElementById('addSquadProfile').addEventListener('change', e => {
+            const profile = profiles.list.find(p => p.id === e.target.value);
+            e.target.value = '';
+            if (profile) addSquadMember(profile.name, serializeProgress(loadProgress(profile.id)));
+        });
+    }
+    
+    // A member that can't be read is skipped on its own; the rest load.
+    // Progress for quests outside this dataset is carried, as for profiles.
+    function loadSquad() {
+        const you = { name: 'You', include: true, local: true };
+        let stored = [];
+        
+        try {
+            stored = JSON.parse(localStorage.getItem(CONFIG.squadKey)) || [];
+        } catch (err) {
+            console.warn('Ignoring unreadable squad:', err);
+        }
+        if (!Array.isArray(stored)) stored = [];
+        
+        return [you].concat(stored.flatMap(m => {
+            try {
+                return [{ name: String(m.name), include: m.include !== false, progress: parseProgress(m.progress).progress }];
+            } catch (err) {
+                console.warn('Ignoring unreadable squad member:', err);
+                return [];
+            }
+        }));
+    }
+    
+    function saveSquad() {
+        const stored = squad.filter(m => !m.local).map(m => ({
+            name: m.name,
+            include: m.include,
+            progress: serializeProgress(m.progress)
+        }));
+        
+        try {
+            localStorage.setItem(CONFIG.squadKey, JSON.stringify(stored));
+        } catch (err) {
+            console.warn('Failed to save squad:', err);
+        }
+    }
+    
+    function addSquadMember(name, raw) {
+        const { progress: state, unknown } = parseProgress(raw);
+        squad.push({ name, include: true, progress: state });
+        saveSquad();
+        
+        if (unknown.length > 0) {
+            showNotice(`${name}: skipped ${plural(unknown.length, 'id')} not in this dataset.`);
+        }
+        if (activeView === 'squad') {
+            renderSquadView();
+            applyFilters();
+        }
+    }
+    
+    function memberProgress(member) {
+        return member.local ? progress : member.progress;
+    }
+    
+    function memberState(member, id) {
+        const completed = memberProgress(member).completed;
+        if (completed.has(id)) return 'completed';
+        return questMap.get(id).prerequisites.every(p => completed.has(p)) ? 'available' : 'locked';
+    }
+    
+    function memberColor(index) {
+        return CONFIG.memberColors[index % CONFIG.memberColors.length];
+    }
+    
+    // Quests every included member can work on now, ranked so that quests
+    // sharing a map (or failing that, a group) with others in the list come
+    // first: one raid there advances several of them at once.
+    function getCommonAvailable() {
+        const members = squad.filter(m => m.include);
+        if (members.length === 0) return [];
+        
+        const common = data.quests.filter(q => members.every(m => memberState(m, q.id) === 'available'));
+        
+        return common.map(quest => {
+            const locations = getSpecificLocations(quest);
+            const sameLocation = common.filter(o =>
+                o !== quest && getSpecificLocations(o).some(l => locations.includes(l))
+            );
+            const sameGroup = common.filter(o => o !== quest && o.group === quest.group);
+            return {
+                quest,
+                sameLocation,
+                sameGroup,
+                score: sameLocation.length * 2 + sameGroup.length
+            };
+        }).sort((a, b) => b.score - a.score || a.quest.name.localeCompare(b.quest.name));
+    }
+    
+    function renderSquadView() {
+        const list = document.getElementById('squadList');
+        list.innerHTML = '';
+        
+        const members = document.createElement('div');
+        members.className = 'squad-members';
+        squad.forEach((member, i) => {
+            const row = document.createElement('div');
+            row.className = 'member';
+            row.innerHTML = html`
+                <input type="checkbox" title="Include in common available"${member.include && ' checked'}>
+                <span class="dot" style="background: ${memberColor(i)}"></span>
+                <input type="text" class="member-name" value="${member.local ? getActiveProfile().name : member.name}"${member.local && ' disabled'}>
+                <span class="member-count">${memberProgress(member).completed.size} done</span>
+                ${!member.local && html`
+                    <button class="remove" title="Remove from squad">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M18 6L6 18M6 6l12 12"/>
+                        </svg>
+                    </button>
+                `}
+            `;
+            
+            row.querySelector('input[type="checkbox"]').addEventListener('change', e => {
+                member.include = e.target.checked;
+                saveSquad();
+                renderSquadView();
+                applyFilters();
+            });
+            row.querySelector('.member-name').addEventListener('change', e => {
+                member.name = e.target.value.trim() || member.name;
+                saveSquad();
+            });
+            if (!member.local) {
+                row.querySelector('.remove').addEventListener('click', () => {
+                    squad.splice(i, 1);
+                    saveSquad();
+                    renderSquadView();
+                    applyFilters();
+                });
+            }
+            members.appendChild(row);
+        });
+        list.appendChild(members);
+        
+        const common = getCommonAvailable();
+        const div = createGroup('Common available', common.length);
+        const items = div.querySelector('.group-items');
+        
+        common.forEach(({ quest, sameLocation, sameGroup }) => {
+            const item = createQuestItem(quest);
+            const reasons = [];
+            if (sameLocation.length > 0) {
+                const shared = getSpecificLocations(quest).filter(l =>
+                    sameLocation.some(o => o.requiredLocations.includes(l))
+                );
+                reasons.push(`${shared.join(', ')} with ${plural(sameLocation.length, 'other')}`);
+            } else if (sameGroup.length > 0) {
+                reasons.push(`${quest.group} with ${plural(sameGroup.length, 'other')}`);
+            }
+            if (reasons.length > 0) item.insertAdjacentHTML('beforeend', html`<div class="opens">${join(reasons, ' · ')}</div>`);
+            items.appendChild(item);
+        });
+        
+        if (common.length === 0) {
+            items.innerHTML = `<div class="empty">No quest is available to everyone selected.</div>`;
+        }
+        list.appendChild(div);
+        
+        renderSquadPips();
+    }
+    
+    function renderSquadProfiles() {
+        const select = document.getElementById('addSquadProfile');
+        const others = profiles.list.filter(p => p.id !== profiles.active);
+        select.hidden = others.length === 0;
+        select.innerHTML = html`<option value="">Profile...</option>${others.map(p =>
+            html`<option value="${p.id}">${p.name}</option>`)}`;
+    }
+    
+    // A pip per squad member above the node: filled when done, ringed when available
+    function createSquadPips(id) {
+        const pips = document.createElementNS(SVG_NS, 'g');
+        pips.setAttribute('class', 'squad-pips');
+        
+        squad.forEach((member, i) => {
+            const state = memberState(member, id);
+            const pip = document.createElementNS(SVG_NS, 'circle');
+            pip.setAttribute('class', `pip ${state}`);
+            pip.setAttribute('cx', (i - (squad.length - 1) / 2) * 8);
+            pip.setAttribute('cy', -17);
+            pip.setAttribute('r', 3);
+            pip.style.color = memberColor(i);
+            
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${member.name}: ${STATE_LABELS[state].toLowerCase()}`;
+            pip.appendChild(title);
+            pips.appendChild(pip);
+        });
+        
+        return pips;
+    }
+    
+    function renderSquadPips() {
+        renderer.pips(true);
+    }
+    
+    function clearSquadPips() {
+        renderer.pips(false);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROFILES
+    // ═══════════════════════════════════════════════════════════════
+    
+    // The first profile keeps the original progress key so existing saves
+    // become its progress; every other profile gets a suffixed key, and a
+    // generated dataset suffixes both with its scope.
+    function progressKeyFor(profileId) {
+        const key = profileId === 'default' ? CONFIG.progressKey : `${CONFIG.progressKey}.${profileId}`;
+        return progressScope ? `${key}.${progressScope}` : key;
+    }
+    
+    function loadProfiles() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(CONFIG.profilesKey));
+            if (raw && Array.isArray(raw.list) && raw.list.length > 0) {
+                const list = raw.list.map(p => ({ id: String(p.id), name: String(p.name) }));
+                return { active: list.some(p => p.id === raw.active) ? raw.active : list[0].id, list };
+            }
+        } catch (err) {
+            console.warn('Ignoring unreadable profiles:', err);
+        }
+        
+        return { active: 'default', list: [{ id: 'default', name: 'Main' }] };
+    }
+    
+    function saveProfiles() {
+        try {
+            localStorage.setItem(CONFIG.profilesKey, JSON.stringify(profiles));
+        } catch (err) {
+            console.warn('Failed to save profiles:', err);
+        }
+    }
+    
+    function getActiveProfile() {
+        return profiles.list.find(p => p.id === profiles.active);
+    }
+    
+    function getProfileProgress(profileId) {
+        return profileId === profiles.active ? progress : loadProgress(profileId);
+    }
+    
+    function setupProfiles() {
+        const modal = document.getElementById('profilesModal');
+        
+        document.getElementById('profileSelect').addEventListener('change', e => switchProfile(e.target.value));
+        document.getElementById('profilesBtn').addEventListener('click', () => {
+            renderProfiles();
+            modal.hidden = false;
+        });
+        document.getElementById('closeProfiles').addEventListener('click', () => modal.hidden = true);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) modal.hidden = true;
+        });
+        
+        document.getElementById('newProfile').addEventListener('click', () => {
+            createProfile(`Profile ${profiles.list.length + 1}`, { completed: new Set(), objectives: new Map() });
+        });
+        
+        document.getElementById('compareProfiles').addEventListener('click', () => {
+            const a = document.getElementById('diffA').value;
+            const b = document.getElementById('diffB').value;
+            profileDiff = a === b ? null : { a, b };
+            markProfileDiff();
+            renderProfileDiff();
+        });
+        document.getElementById('clearDiff').addEventListener('click', () => {
+            profileDiff = null;
+            markProfileDiff();
+            renderProfileDiff();
+        });
+        
+        renderProfileSelect();
+    }
+    
+    function renderProfileSelect() {
+        const options = html`${profiles.list.map(p => html`<option value="${p.id}">${p.name}</option>`)}`;
+        
+        const select = document.getElementById('profileSelect');
+        select.innerHTML = options;
+        select.value = profiles.active;
+        
+        ['diffA', 'diffB'].forEach((id, i) => {
+            const field = document.getElementById(id);
+            const previous = field.value;
+            field.innerHTML = options;
+            field.value = profiles.list.some(p => p.id === previous)
+                ? previous
+                : profiles.list[Math.min(i, profiles.list.length - 1)].id;
+        });
+        renderSquadProfiles();
+    }
+    
+    function renderProfiles() {
+        const list = document.getElementById('profileList');
+        list.innerHTML = '';
+        
+        profiles.list.forEach(profile => {
+            const active = profile.id === profiles.active;
+            const row = document.createElement('div');
+            row.className = `profile-row${active ? ' active' : ''}`;
+            row.innerHTML = html`
+                <input type="radio" name="activeProfile" title="Switch to this profile"${active && ' checked'}>
+                <input type="text" class="profile-name" value="${profile.name}">
+                <span class="member-count">${getProfileProgress(profile.id).completed.size} done</span>
+                <button class="btn duplicate" title="Duplicate">Copy</button>
+                <button class="btn delete" title="Delete"${profiles.list.length === 1 && ' disabled'}>Delete</button>
+            `;
+            
+            row.querySelector('input[type="radio"]').addEventListener('change', () => switchProfile(profile.id));
+            row.querySelector('.profile-name').addEventListener('change', e => {
+                profile.name = e.target.value.trim() || profile.name;
+                e.target.value = profile.name;
+                saveProfiles();
+                renderProfileSelect();
+            });
+            row.querySelector('.duplicate').addEventListener('click', () => {
+                createProfile(`${profile.name} copy`, getProfileProgress(profile.id));
+            });
+            row.querySelector('.delete').addEventListener('click', () => {
+                if (confirm(`Delete profile "${profile.name}" and its progress?`)) deleteProfile(profile.id);
+            });
+            
+            list.appendChild(row);
+        });
+        
+        renderProfileDiff();
+    }
+    
+    function createProfile(name, state) {
+        const id = `p${Date.now().toString(36)}${profiles.list.length}`;
+        profiles.list.push({ id, name });
+        writeProgress(progressKeyFor(id), state);
+        
+        saveProfiles();
+        renderProfileSelect();
+        renderProfiles();
+    }
+    
+    function deleteProfile(profileId) {
+        if (profiles.list.length === 1) return;
+        
+        profiles.list = profiles.list.filter(p => p.id !== profileId);
+        localStorage.removeItem(progressKeyFor(profileId));
+        if (profileDiff && (profileDiff.a === profileId || profileDiff.b === profileId)) profileDiff = null;
+        
+        if (profiles.active === profileId) {
+            switchProfile(profiles.list[0].id);
+        } else {
+            saveProfiles();
+            renderProfileSelect();
+            renderProfiles();
+            markProfileDiff();
+        }
+    }
+    
+    function switchProfile(profileId) {
+        if (!profiles.list.some(p => p.id === profileId)) return;
+        
+        profiles.active = profileId;
+        progress = loadProgress();
+        saveProfiles();
+        renderProfileSelect();
+        refreshProgress();
+        
+        if (!document.getElementById('profilesModal').hidden) renderProfiles();
+        showNotice(`Switched to ${getActiveProfile().name}.`, 2500);
+    }
+    
+    // Quests completed in one profile but not the other
+    function diffProfiles(a, b) {
+        const left = getProfileProgress(a).completed;
+        const right = getProfileProgress(b).completed;
+        return {
+            onlyA: data.quests.filter(q => left.has(q.id) && !right.has(q.id)),
+            onlyB: data.quests.filter(q => right.has(q.id) && !left.has(q.id))
+        };
+    }
+    
+    function markProfileDiff() {
+        const diff = profileDiff && diffProfiles(profileDiff.a, profileDiff.b);
+        const onlyA = new Set(diff ? diff.onlyA.map(q => q.id) : []);
+        const onlyB = new Set(diff ? diff.onlyB.map(q => q.id) : []);
+        
+        markNodes('diff-a', id => onlyA.has(id));
+        markNodes('diff-b', id => onlyB.has(id));
+    }
+    
+    function renderProfileDiff() {
+        const out = document.getElementById('profileDiff');
+        document.getElementById('clearDiff').hidden = !profileDiff;
+        
+        if (!profileDiff) {
+            out.innerHTML = '';
+            return;
+        }
+        
+        const { onlyA, onlyB } = diffProfiles(profileDiff.a, profileDiff.b);
+        const nameOf = id => profiles.list.find(p => p.id === id).name;
+        const column = (cls, id, quests) => html`
+            <div class="diff-column">
+                <div class="section-title"><span class="dot ${cls}"></span>Only ${nameOf(id)} · ${quests.length}</div>
+                ${quests.length > 0
+                    ? quests.map(q => html`<div class="diff-quest" data-id="${q.id}">${q.name}</div>`)
+                    : html`<div class="empty">Nothing</div>`}
+            </div>
+        `;
+        
+        out.innerHTML = html`${column('diff-a', profileDiff.a, onlyA)}${column('diff-b', profileDiff.b, onlyB)}`;
+        out.querySelectorAll('.diff-quest').forEach(el => {
+            el.addEventListener('click', () => {
+                document.getElementById('profilesModal').hidden = true;
+                selectQuest(el.dataset.id);
+            });
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CHANGES
+    // ═══════════════════════════════════════════════════════════════
+    
+    // The dataset as of the last acknowledged visit is kept so a patch that
+    // changes quests.json can be diffed against it on the next load.
+    function loadChangelog() {
+        let previous = null;
+        try {
+            previous = JSON.parse(localStorage.getItem(CONFIG.snapshotKey));
+        } catch (err) {
+            console.warn('Ignoring unreadable data snapshot:', err);
+        }
+        
+        if (!previous || !Array.isArray(previous.quests)) {
+            saveSnapshot();
+            return null;
+        }
+        
+        const result = QuestDiff.diff(previous, JSON.parse(dataText));
+        if (QuestDiff.countChanges(result) === 0) return null;
+        return buildChangelog(result, 'your last visit');
+    }
+    
+    function saveSnapshot() {
+        try {
+            localStorage.setItem(CONFIG.snapshotKey, dataText);
+        } catch (err) {
+            console.warn('Failed to save data snapshot:', err);
+        }
+    }
+    
+    // Ids as saved, including ones this dataset no longer knows
+    function getSavedCompletedIds() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(progressKeyFor(profiles.active)));
+            return new Set(raw && Array.isArray(raw.completed) ? raw.completed : []);
+        } catch (err) {
+            return new Set();
+        }
+    }
+    
+    // kinds: graph id → added | renamed | changed; affected: ids of changes
+    // that touch a quest the active profile has completed
+    function buildChangelog(result, source) {
+        const completed = new Set([...getSavedCompletedIds(), ...progress.completed]);
+        const kinds = new Map();
+        const affected = new Set();
+        
+        result.added.forEach(q => {
+            if (questMap.has(q.id)) kinds.set(q.id, 'added');
+        });
+        result.removed.forEach(q => {
+            if (completed.has(q.id)) affected.add(q.id);
+        });
+        result.changed.forEach(entry => {
+            const onlyRenamed = QuestDiff.describeChange(entry).length === 1 && entry.renamed;
+            if (questMap.has(entry.id)) kinds.set(entry.id, onlyRenamed ? 'renamed' : 'changed');
+            if (completed.has(entry.id) || completed.has(entry.previousId)) affected.add(entry.id);
+        });
+        
+        return { result, source, kinds, affected };
+    }
+    
+    function setupChangesView() {
+        document.getElementById('changesFile').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                const older = JSON.parse(await file.text());
+                if (!older || !Array.isArray(older.quests)) throw new Error('no "quests" array');
+                setChangelog(buildChangelog(QuestDiff.diff(older, JSON.parse(dataText)), file.name));
+            } catch (err) {
+                showNotice(`Could not read ${file.name}: ${err.message}`);
+            }
+        });
+        
+        document.getElementById('dismissChanges').addEventListener('click', () => {
+            if (changelog && changelog.source === 'your last visit') saveSnapshot();
+            setChangelog(null);
+        });
+    }
+    
+    function setChangelog(next) {
+        changelog = next;
+        renderChangeBadges();
+        if (activeView === 'changes') renderChangesView();
+        applyFilters();
+    }
+    
+    function createChangeBadge(id) {
+        const kind = changelog && changelog.kinds.get(id);
+        if (!kind) return null;
+        
+        const symbols = { added: '+', renamed: 'R', changed: '~' };
+        const badge = document.createElementNS(SVG_NS, 'g');
+        const affected = changelog.affected.has(id);
+        badge.setAttribute('class', `change-badge ${kind}${affected ? ' affected' : ''}`);
+        badge.setAttribute('transform', 'translate(11, -11)');
+        badge.innerHTML = html`
+            <title>${kind === 'added' ? 'New' : kind === 'renamed' ? 'Renamed' : 'Changed'} since ${QuestDiff.describeVersion(changelog.result.before)}${affected && ' · you completed this quest'}</title>
+            <circle r="6"></circle>
+            <text dy="3">${symbols[kind]}</text>
+        `;
+        return badge;
+    }
+    
+    function renderChangeBadges() {
+        renderer.badges();
+    }
+    
+    function renderChangesView() {
+        const list = document.getElementById('changesList');
+        const dismiss = document.getElementById('dismissChanges');
+        list.innerHTML = '';
+        dismiss.hidden = !changelog;
+        
+        if (!changelog) {
+            list.innerHTML = `<div class="empty">No changes since your last visit. Compare with an older quests.json to see what a patch changed.</div>`;
+            return;
+        }
+        
+        const { result, source, affected } = changelog;
+        const nameOf = id => questMap.has(id) ? questMap.get(id).name : id;
+        dismiss.textContent = source === 'your last visit' ? 'Mark as seen' : 'Clear';
+        
+        const summary = document.createElement('div');
+        summary.className = 'route-summary';
+        summary.textContent = `${QuestDiff.describeVersion(result.before)} → ${QuestDiff.describeVersion(result.after)} · ` +
+            `${plural(QuestDiff.countChanges(result), 'change')} since ${source}` +
+            (affected.size > 0 ? ` · ${affected.size} affect${affected.size === 1 ? 's' : ''} quests you completed` : '');
+        list.appendChild(summary);
+        
+        const addGroup = (title, entries, build) => {
+            if (entries.length === 0) return;
+            const div = createGroup(title, entries.length);
+            const items = div.querySelector('.group-items');
+            entries.forEach(entry => items.appendChild(build(entry)));
+            list.appendChild(div);
+        };
+        
+        const describe = (item, lines, isAffected) => {
+            lines.forEach(line => {
+                const el = document.createElement('div');
+                el.className = 'change-detail';
+                el.textContent = line;
+                item.appendChild(el);
+            });
+            if (isAffected) {
+                item.classList.add('affected');
+                item.insertAdjacentHTML('beforeend', `<div class="change-detail warning">You completed this quest</div>`);
+            }
+            return item;
+        };
+        
+        addGroup('Added', result.added, q => createQuestItem(questMap.get(q.id)));
+        addGroup('Changed', result.changed, entry =>
+            describe(createQuestItem(questMap.get(entry.id)), QuestDiff.describeChange(entry, nameOf), affected.has(entry.id))
+        );
+        addGroup('Removed', result.removed, q => {
+            const item = document.createElement('div');
+            item.className = 'quest removed';
+            item.innerHTML = `<span class="name"></span>`;
+            item.querySelector('.name').textContent = q.name;
+            return describe(item, [], affected.has(q.id));
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EDITOR
+    // ═══════════════════════════════════════════════════════════════
+    
+    // Edits mutate data.quests in place. Every commit pushes a snapshot of
+    // the quests (and progress, which follows id renames) for undo/redo.
+    let editing = false;
+    let editHistory = { undo: [], redo: [] };
+    let rebuildPending = false;
+    
+    const OBJECTIVE_KEYS = ['text', 'type', 'target', 'count', 'item'];
+    
+    function setupEditor() {
+        document.getElementById('editBtn').addEventListener('click', () => setEditing(!editing));
+        document.getElementById('newQuest').addEventListener('click', addQuest);
+        document.getElementById('undoEdit').addEventListener('click', undoEdit);
+        document.getElementById('redoEdit').addEventListener('click', redoEdit);
+        document.getElementById('downloadData').addEventListener('click', () => {
+            downloadFile('quests.json', formatDataset(data), 'application/json');
+        });
+        
+        document.addEventListener('keydown', e => {
+            if (!editing || !(e.ctrlKey || e.metaKey) || e.target.matches('input, textarea, select')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) undoEdit();
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) redoEdit();
+            else return;
+            e.preventDefault();
+        });
+        
+        window.addEventListener('beforeunload', e => {
+            if (editHistory.undo.length === 0) return;
+            e.preventDefault();
+            e.returnValue = '';
+        });
+    }
+    
+    function setEditing(on) {
+        editing = on;
+        document.body.classList.toggle('editing', on);
+        document.getElementById('editBtn').classList.toggle('active', on);
+        document.getElementById('editorBar').hidden = !on;
+        updateEditorBar();
+        
+        if (selectedId && document.getElementById('panel').classList.contains('open')) showPanel(selectedId);
+    }
+    
+    function updateEditorBar() {
+        document.getElementById('undoEdit').disabled = editHistory.undo.length === 0;
+        document.getElementById('redoEdit').disabled = editHistory.redo.length === 0;
+    }
+    
+    function takeSnapshot() {
+        return {
+            quests: JSON.stringify(data.quests),
+            progress: serializeProgress(progress),
+            selectedId
+        };
+    }
+    
+    function restoreSnapshot(snapshot) {
+        data.quests = JSON.parse(snapshot.quests);
+        questMap.clear();
+        data.quests.forEach(q => questMap.set(q.id, q));
+        progress = parseProgress(snapshot.progress).progress;
+        saveProgress();
+        selectedId = snapshot.selectedId;
+    }
+    
+    // mutate returns false to abandon the edit. Form fields defer the redraw
+    // until focus has moved, so tabbing through the form keeps working.
+    function commitEdit(mutate, defer = false) {
+        const before = takeSnapshot();
+        if (mutate() === false) return;
+        
+        editHistory.undo.push(before);
+        if (editHistory.undo.length > CONFIG.undoLimit) editHistory.undo.shift();
+        editHistory.redo = [];
+        
+        if (!defer) {
+            rebuildQuests();
+        } else if (!rebuildPending) {
+            rebuildPending = true;
+            setTimeout(rebuildQuests, 0);
+        }
+    }
+    
+    function undoEdit() {
+        if (editHistory.undo.length === 0) return;
+        editHistory.redo.push(takeSnapshot());
+        restoreSnapshot(editHistory.undo.pop());
+        rebuildQuests();
+    }
+    
+    function redoEdit() {
+        if (editHistory.redo.length === 0) return;
+        editHistory.undo.push(takeSnapshot());
+        restoreSnapshot(editHistory.redo.pop());
+        rebuildQuests();
+    }
+    
+    // Redraws everything derived from the quests: layout, graph, lists,
+    // filters and diagnostics. Focus returns to the same form field.
+    function rebuildQuests() {
+        rebuildPending = false;
+        const focused = document.activeElement && document.activeElement.dataset.key;
+        
+        questMap.clear();
+        data.quests.forEach(q => questMap.set(q.id, q));
+        buildQuestIndex();
+        buildCatalog();
+        if (selectedId && !questMap.has(selectedId)) hidePanel();
+        focusTrail = focusTrail.filter(id => questMap.has(id));
+        if (routeTarget && routeTarget.type === 'quest' && !questMap.has(routeTarget.id)) {
+            routeTarget = null;
+            document.getElementById('routeTarget').value = '';
+        }
+        
+        populateFilters();
+        populateRouteTargets();
+        renderQuestList();
+        renderGraph();
+        renderLegend();
+        renderDiagnostics(validateData());
+        refreshProgress();
+        applyFilters();
+        markSelection();
+        renderFocusBar();
+        
+        updateEditorBar();
+        
+        const field = focused && document.querySelector(`#panelBody [data-key="${focused}"]`);
+        if (field) field.focus();
+    }
+    
+    function getQuestSchema() {
+        const schema = (data.meta && data.meta.schema && data.meta.schema.quest) || {};
+        return Object.keys(schema).length > 0 ? schema : {
+            id: 'string', name: 'string', group: 'string', unlockMilestone: 'boolean',
+            prerequisites: 'array', trader: 'string', requiredLocations: 'array',
+            inOneRound: 'boolean', objectives: 'array of objective strings, or objects { text }',
+            rewards: 'array of reward objects { name, quantity }', tags: 'array'
+        };
+    }
+    
+    function humanize(key) {
+        const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+    
+    // Values offered by an input's datalist
+    function getSuggestions(key) {
+        if (key === 'prerequisites') return data.quests.map(q => ({ value: q.id, label: q.name }));
+        
+        const values = new Set();
+        data.quests.forEach(q => [].concat(q[key]).forEach(v => {
+            if (typeof v === 'string' && v) values.add(v);
+        }));
+        return [...values].sort().map(value => ({ value, label: '' }));
+    }
+    
+    // The details panel as a form with one control per schema field
+    function showEditor(id) {
+        const quest = questMap.get(id);
+        const schema = getQuestSchema();
+        const fields = QuestValidator.parseSchema(schema);
+        const report = validateData();
+        const issues = report.errors.concat(report.warnings).filter(f => f.questId === id);
+        
+        document.getElementById('panelTitle').textContent = quest.name;
+        const body = document.getElementById('panelBody');
+        
+        const findings = issues.map(f => html`
+            <div class="finding ${f.severity}">
+                <div class="finding-head"><span class="code">${f.code}</span><span class="where">${f.field}</span></div>
+                <div class="finding-message">${f.message}</div>
+            </div>
+        `);
+        
+        const rows = Object.entries(fields).map(([key, spec]) => {
+            const label = html`<span class="field-label" title="${schema[key]}">${humanize(key)}</span>`;
+            const suggestions = spec.type !== 'boolean' && key !== 'id' && key !== 'name' &&
+                html`<datalist id="suggest-${key}">${getSuggestions(key).map(s =>
+                    html`<option value="${s.value}">${s.label}</option>`)}</datalist>`;
+            
+            if (key === 'objectives') {
+                return html`<div class="field">${label}${renderObjectiveRows(quest)}
+                    <button class="btn add-row" data-add="objectives">+ Objective</button></div>${suggestions}`;
+            } else if (spec.type === 'array' && spec.items.includes('object')) {
+                return html`<div class="field">${label}${renderObjectRows(key, spec, quest)}
+                    <button class="btn add-row" data-add="${key}">+ ${humanize(key).replace(/s$/, '')}</button></div>${suggestions}`;
+            } else if (spec.type === 'array') {
+                const values = Array.isArray(quest[key]) ? quest[key] : [];
+                const nameOf = v => key === 'prerequisites' && questMap.has(v) ? questMap.get(v).name : v;
+                return html`<div class="field">${label}
+                    <div class="chips">
+                        ${values.map((v, i) => html`
+                            <span class="chip${key === 'prerequisites' && !questMap.has(v) && ' invalid'}" title="${v}">
+                                ${nameOf(v)}<button data-remove="${key}" data-index="${i}" title="Remove">×</button>
+                            </span>
+                        `)}
+                        <input type="text" data-key="${key}.new" data-append="${key}" list="suggest-${key}" placeholder="Add...">
+                    </div></div>${suggestions}`;
+            } else if (spec.type === 'boolean') {
+                return html`<label class="field checkbox"><input type="checkbox" data-key="${key}"${quest[key] ? ' checked' : ''}>${label}</label>`;
+            }
+            return html`<label class="field">${label}
+                <input type="text" data-key="${key}" value="${quest[key] === undefined ? '' : quest[key]}" list="suggest-${key}"></label>${suggestions}`;
+        });
+        
+        body.innerHTML = html`${findings}${rows}<div class="panel-actions">
+            <button class="btn" id="deleteQuest">Delete quest</button>
+        </div>`;
+        bindEditor(quest, fields);
+        document.getElementById('panel').classList.add('open');
+    }
+    
+    function renderObjectiveRows(quest) {
+        return quest.objectives.map((o, i) => {
+            const structured = QuestObjectives.isStructured(o);
+            const objective = QuestObjectives.normalize(o);
+            return html`
+                <div class="editor-row">
+                    <input type="text" data-key="objectives.${i}.text" value="${QuestObjectives.getText(o)}">
+                    <button class="remove" data-remove="objectives" data-index="${i}" title="Remove">×</button>
+                    <div class="editor-subrow">
+                        <select data-key="objectives.${i}.type" title="Plain text objectives tick off once">
+                            <option value="">plain</option>
+                            ${QuestObjectives.TYPES.map(t => html`<option${structured && objective.type === t && ' selected'}>${t}</option>`)}
+                        </select>
+                        ${structured && html`
+                            <input type="number" min="1" data-key="objectives.${i}.count" value="${objective.count}" title="Count">
+                            <input type="text" data-key="objectives.${i}.target" value="${objective.target || ''}" placeholder="target">
+                            <input type="text" data-key="objectives.${i}.item" value="${objective.item || ''}" placeholder="item">
+                        `}
+                    </div>
+                </div>
+            `;
+        });
+    }
+    
+    function renderObjectRows(key, spec, quest) {
+        const values = Array.isArray(quest[key]) ? quest[key] : [];
+        return values.map((entry, i) => html`
+            <div class="editor-row">
+                ${spec.keys.map(k => html`
+                    <input type="text" data-key="${key}.${i}.${k}" value="${entry[k] === undefined ? '' : entry[k]}" placeholder="${k}">
+                `)}
+                <button class="remove" data-remove="${key}" data-index="${i}" title="Remove">×</button>
+            </div>
+        `);
+    }
+    
+    function bindEditor(quest, fields) {
+        const body = document.getElementById('panelBody');
+        
+        body.querySelectorAll('[data-key]:not([data-append])').forEach(input => {
+            input.addEventListener('change', () => {
+                const [key, index, prop] = input.dataset.key.split('.');
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                
+                if (key === 'id') {
+                    const next = value.trim();
+                    const problem = !next ? 'Id cannot be empty'
+                        : next !== quest.id && questMap.has(next) ? `"${next}" is already used` : '';
+                    input.setCustomValidity(problem);
+                    if (problem) {
+                        input.reportValidity();
+                        return;
+                    }
+                    commitEdit(() => next === quest.id ? false : renameQuestId(quest, next), true);
+                } else if (key === 'objectives') {
+                    commitEdit(() => setObjectiveField(quest, Number(index), prop, value), true);
+                } else if (prop) {
+                    commitEdit(() => { quest[key][Number(index)][prop] = value; }, true);
+                } else {
+                    commitEdit(() => { quest[key] = typeof value === 'string' ? value.trim() : value; }, true);
+                }
+            });
+        });
+        
+        body.querySelectorAll('[data-append]').forEach(input => {
+            input.addEventListener('change', () => {
+                const key = input.dataset.append;
+                let value = input.value.trim();
+                if (!value) return;
+                
+                if (key === 'prerequisites') {
+                    const match = questMap.get(value) || data.quests.find(q => q.name.toLowerCase() === value.toLowerCase());
+                    const problem = !match ? `No quest "${value}"`
+                        : match.id === quest.id ? 'A quest cannot require itself'
+                        : quest.prerequisites.includes(match.id) ? 'Already a prerequisite' : '';
+                    input.setCustomValidity(problem);
+                    if (problem) {
+                        input.reportValidity();
+                        return;
+                    }
+                    value = match.id;
+                }
+                commitEdit(() => {
+                    if (quest[key].includes(value)) return false;
+                    quest[key].push(value);
+                }, true);
+            });
+        });
+        
+        body.querySelectorAll('[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const key = btn.dataset.remove;
+                const index = Number(btn.dataset.index);
+                commitEdit(() => {
+                    quest[key].splice(index, 1);
+                    if (key === 'objectives') shiftObjectiveProgress(quest.id, index);
+                });
+            });
+        });
+        
+        body.querySelectorAll('[data-add]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const key = btn.dataset.add;
+                commitEdit(() => {
+                    if (key === 'objectives') quest.objectives.push('New objective');
+                    else quest[key].push(Object.fromEntries(fields[key].keys.map(k => [k, ''])));
+                });
+            });
+        });
+        
+        document.getElementById('deleteQuest').addEventListener('click', () => {
+            if (!confirm(`Delete "${quest.name}"? Quests that require it lose that prerequisite.`)) return;
+            commitEdit(() => deleteQuest(quest.id));
+        });
+    }
+    
+    // Switching a plain objective to a type parses it for count and target
+    function setObjectiveField(quest, index, prop, value) {
+        const current = quest.objectives[index];
+        
+        if (prop === 'type' && !value) {
+            quest.objectives[index] = QuestObjectives.getText(current);
+        } else if (prop === 'type' && !QuestObjectives.isStructured(current)) {
+            quest.objectives[index] = orderKeys({ ...QuestObjectives.parse(current), type: value }, OBJECTIVE_KEYS);
+        } else if (!QuestObjectives.isStructured(current)) {
+            quest.objectives[index] = value;
+        } else {
+            const next = { ...current, [prop]: prop === 'count' ? Math.max(1, parseInt(value, 10) || 1) : value };
+            if (prop !== 'text' && prop !== 'count' && !value.trim()) delete next[prop];
+            quest.objectives[index] = orderKeys(next, OBJECTIVE_KEYS);
+        }
+    }
+    
+    function shiftObjectiveProgress(id, index) {
+        const values = progress.objectives.get(id);
+        if (!values) return;
+        values.splice(index, 1);
+        saveProgress();
+    }
+    
+    function renameQuestId(quest, next) {
+        const previous = quest.id;
+        quest.id = next;
+        data.quests.forEach(q => {
+            q.prerequisites = q.prerequisites.map(p => p === previous ? next : p);
+        });
+        
+        if (progress.completed.delete(previous)) progress.completed.add(next);
+        if (progress.objectives.has(previous)) {
+            progress.objectives.set(next, progress.objectives.get(previous));
+            progress.objectives.delete(previous);
+        }
+        saveProgress();
+        if (selectedId === previous) selectedId = next;
+    }
+    
+    function deleteQuest(id) {
+        data.quests = data.quests.filter(q => q.id !== id);
+        data.quests.forEach(q => {
+            q.prerequisites = q.prerequisites.filter(p => p !== id);
+        });
+        progress.completed.delete(id);
+        progress.objectives.delete(id);
+        saveProgress();
+    }
+    
+    // New quests start in the selected quest's group and after it in the file
+    function addQuest() {
+        const near = selectedId && questMap.get(selectedId);
+        let id = 'new_quest';
+        for (let n = 2; questMap.has(id); n++) id = `new_quest_${n}`;
+        
+        const quest = { id, name: 'New Quest', group: near ? near.group : '' };
+        normalizeQuest(quest);
+        
+        commitEdit(() => {
+            data.quests.splice(near ? data.quests.indexOf(near) + 1 : data.quests.length, 0, quest);
+        });
+        selectQuest(id);
+    }
+    
+    function orderKeys(object, order) {
+        const result = {};
+        order.forEach(k => {
+            if (k in object) result[k] = object[k];
+        });
+        Object.keys(object).sort().forEach(k => {
+            if (!(k in result)) result[k] = object[k];
+        });
+        return result;
+    }
+    
+    // Matches the layout of data/quests.json: one line per quest field with
+    // the value kept inline, quest fields in schema order, quests in file order
+    function formatDataset(dataset) {
+        const order = Object.keys(getQuestSchema());
+        const quests = dataset.quests.map(q => {
+            const quest = orderKeys(q, order);
+            if (Array.isArray(quest.objectives)) {
+                quest.objectives = quest.objectives.map(o => QuestObjectives.isStructured(o) ? orderKeys(o, OBJECTIVE_KEYS) : o);
+            }
+            if (Array.isArray(quest.rewards)) quest.rewards = quest.rewards.map(r => orderKeys(r, ['name', 'quantity']));
+            return '    {\n' + Object.entries(quest)
+                .map(([k, v]) => `      ${JSON.stringify(k)}: ${inlineJson(v)}`)
+                .join(',\n') + '\n    }';
+        });
+        
+        const list = quests.length > 0 ? `[\n${quests.join(',\n')}\n  ]` : '[]';
+        return JSON.stringify({ ...dataset, quests: null }, null, 2)
+            .replace('"quests": null', () => `"quests": ${list}`) + '\n';
+    }
+    
+    function inlineJson(value) {
+        if (Array.isArray(value)) return `[${value.map(inlineJson).join(', ')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${inlineJson(v)}`).join(', ')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CONTROLS
+    // ═══════════════════════════════════════════════════════════════
+    
+    function setupControls() {
+        document.getElementById('zoomIn').addEventListener('click', () => zoomBy(1.3));
+        document.getElementById('zoomOut').addEventListener('click', () => zoomBy(1 / 1.3));
+        document.getElementById('fitSelection').addEventListener('click', fitSelection);
+        document.getElementById('fitFiltered').addEventListener('click', fitFiltered);
+        
+        document.getElementById('toggleLayout').addEventListener('click', () => {
+            setOrientation(CONFIG.orientation === 'horizontal' ? 'vertical' : 'horizontal');
+        });
+        
+        document.getElementById('toggleColor').addEventListener('click', () => {
+            setColorBy(CONFIG.colorBy === 'location' ? 'trader' : 'location');
         });
         
         document.getElementById('closePanel').addEventListener('click', hidePanel);
+        document.getElementById('closeNotice').addEventListener('click', () => {
+            document.getElementById('notice').hidden = true;
+        });
         
-        document.addEventListener('keydown', e => {
-            if (e.key === 'Escape') hidePanel();
-            if (e.key === '+' || e.key === '=') {
-                transform.k = Math.min(4, transform.k * 1.2);
-                applyTransform(group);
+        setupKeyboard();
+        
+        window.addEventListener('resize', debounce(() => fitToView(false), 200));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // KEYBOARD
+    // ═══════════════════════════════════════════════════════════════
+    
+    // The node arrow keys move from; it follows the selection and is the
+    // graph's single tab stop
+    let cursorId = null;
+    
+    function setupKeyboard() {
+        document.addEventListener('keydown', handleKeydown);
+        
+        document.getElementById('nodes').addEventListener('focusin', e => {
+            const node = e.target.closest('.node');
+            if (node && node.dataset.id !== cursorId) setCursor(node.dataset.id);
+        });
+        
+        setupPalette();
+    }
+    
+    function handleKeydown(e) {
+        const modal = document.querySelector('.modal:not([hidden])');
+        
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (modal && modal.id === 'paletteModal') closePalette();
+            else openPalette();
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            if (modal && modal.id === 'paletteModal') closePalette();
+            else if (modal) modal.hidden = true;
+            else hidePanel();
+            return;
+        }
+        
+        if (modal || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+        
+        // Arrows, Enter, Space and c act on the graph cursor; elsewhere they
+        // keep their usual job of scrolling lists and pressing buttons
+        const onGraph = e.target === document.body || renderer.element.contains(e.target);
+        const id = cursorId || selectedId;
+        
+        if (e.key.startsWith('Arrow')) {
+            if (!onGraph) return;
+            e.preventDefault();
+            moveCursor(e.key);
+            return;
+        }
+        
+        switch (e.key) {
+            case 'Enter':
+            case ' ':
+                if (!onGraph || !id) return;
+                selectQuest(id);
+                break;
+            case 'c':
+            case 'C':
+                if (!onGraph || !id) return;
+                setQuestCompleted(id, !progress.completed.has(id));
+                announce(`${questMap.get(id).name}: ${STATE_LABELS[getQuestState(id)].toLowerCase()}`);
+                break;
+            case 'f':
+            case 'F':
+                if (!id) return;
+                if (focusTrail[focusTrail.length - 1] === id) clearFocus();
+                else setFocus(id);
+                break;
+            case '/':
+                document.getElementById('search').focus();
+                document.getElementById('search').select();
+                break;
+            case '+':
+            case '=':
+                zoomBy(1.2);
+                break;
+            case '-':
+                zoomBy(1 / 1.2);
+                break;
+            case '0':
+                fitToView();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+    
+    function isTyping(target) {
+        return target.matches('input, textarea, select, [contenteditable]');
+    }
+    
+    // Visible quests first; a move only falls back to filtered-out quests
+    // when nothing visible lies in that direction
+    function isNavigable(id) {
+        return nodePositions.has(id) && (!visibleIds || visibleIds.has(id));
+    }
+    
+    // Along the layer axis the arrows step to the closest prerequisite or
+    // unlock, across it to the neighbouring quest on the same level
+    function moveCursor(key) {
+        const from = cursorId || selectedId;
+        if (!from || !nodePositions.has(from)) {
+            setCursor(layoutLayers.flat().find(isNavigable) || layoutLayers.flat()[0]);
+            return;
+        }
+        
+        const horizontal = CONFIG.orientation === 'horizontal';
+        const cross = horizontal ? 'y' : 'x';
+        const pos = nodePositions.get(from);
+        const back = horizontal ? 'ArrowLeft' : 'ArrowUp';
+        const forward = horizontal ? 'ArrowRight' : 'ArrowDown';
+        const prefer = ids => ids.some(isNavigable) ? ids.filter(isNavigable) : ids;
+        let next;
+        
+        if (key === back || key === forward) {
+            const ids = key === back ? questMap.get(from).prerequisites : getUnlocks(from).map(q => q.id);
+            const candidates = prefer(ids.filter(id => nodePositions.has(id)));
+            next = maxBy(candidates, id => -Math.abs(nodePositions.get(id)[cross] - pos[cross]));
+        } else {
+            const level = layoutLayers.find(layer => layer.includes(from)) || [];
+            const step = key === 'ArrowLeft' || key === 'ArrowUp' ? -1 : 1;
+            const siblings = level
+                .filter(id => id !== from && (step < 0 ? nodePositions.get(id)[cross] < pos[cross] : nodePositions.get(id)[cross] > pos[cross]));
+            next = maxBy(prefer(siblings), id => -Math.abs(nodePositions.get(id)[cross] - pos[cross]));
+        }
+        
+        if (!next) return;
+        if (document.getElementById('panel').classList.contains('open')) selectQuest(next);
+        else setCursor(next);
+    }
+    
+    function setCursor(id) {
+        if (!id) return;
+        markCursor(id);
+        if (!selectedId) highlightPath(id);
+        revealNode(id);
+        renderer.focusNode(id);
+    }
+    
+    function markCursor(id) {
+        cursorId = id;
+        updateTabStop();
+    }
+    
+    // Exactly one node is tabbable: the cursor, or the first quest before there is one
+    function updateTabStop() {
+        const first = getGraphQuests().find(q => nodePositions.has(q.id));
+        renderer.setTabStop(nodePositions.has(cursorId) ? cursorId : first && first.id);
+        markNodes('cursor', id => id === cursorId);
+    }
+    
+    // Centers the node only when it is near or past the edge of the view
+    function revealNode(id) {
+        const pos = nodePositions.get(id);
+        const rect = getViewportRect();
+        const x = pos.x * transform.k + transform.x;
+        const y = pos.y * transform.k + transform.y;
+        const margin = 60;
+        
+        if (x < margin || y < margin || x > rect.width - margin || y > rect.height - margin) centerOnNode(id);
+    }
+    
+    // Read out by screen readers without moving focus
+    function announce(message) {
+        const el = document.getElementById('liveStatus');
+        el.textContent = '';
+        setTimeout(() => el.textContent = message, 50);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // COMMAND PALETTE
+    // ═══════════════════════════════════════════════════════════════
+    
+    const PALETTE_LIMIT = 50;
+    const PALETTE_KINDS = ['Action', 'Quest', 'Reward', 'Trader'];
+    
+    let palette = { entries: [], matches: [], active: 0, returnFocus: null };
+    
+    function setupPalette() {
+        const modal = document.getElementById('paletteModal');
+        const input = document.getElementById('paletteInput');
+        
+        document.getElementById('paletteBtn').addEventListener('click', openPalette);
+        modal.addEventListener('click', e => {
+            if (e.target === modal) closePalette();
+        });
+        input.addEventListener('input', () => filterPalette(input.value));
+        input.addEventListener('keydown', e => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const count = palette.matches.length;
+                if (count > 0) setPaletteActive((palette.active + (e.key === 'ArrowDown' ? 1 : -1) + count) % count);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                runPaletteEntry(palette.matches[palette.active]);
+            }
+        });
+    }
+    
+    function openPalette() {
+        const modal = document.getElementById('paletteModal');
+        const input = document.getElementById('paletteInput');
+        
+        document.querySelectorAll('.modal:not([hidden])').forEach(el => el.hidden = true);
+        palette.returnFocus = document.activeElement;
+        palette.entries = getPaletteEntries();
+        modal.hidden = false;
+        input.value = '';
+        filterPalette('');
+        input.focus();
+    }
+    
+    function closePalette() {
+        document.getElementById('paletteModal').hidden = true;
+        const target = palette.returnFocus;
+        palette.returnFocus = null;
+        if (target && target.isConnected && target !== document.body) target.focus({ preventScroll: true });
+    }
+    
+    // { kind, label, detail, run } for everything the palette can jump to
+    function getPaletteEntries() {
+        const selected = selectedId && questMap.get(selectedId);
+        const views = [...document.querySelectorAll('#sidebarTabs .tab')];
+        
+        const actions = [
+            { label: 'Fit graph to view', detail: '0', run: () => fitToView() },
+            selected && { label: 'Fit selection', detail: 'Selected quest and its path', run: fitSelection },
+            { label: 'Fit filtered results', run: fitFiltered },
+            { label: CONFIG.minimap ? 'Hide minimap' : 'Show minimap', run: () => setMinimap(!CONFIG.minimap) },
+            { label: 'Reset filters', run: resetFilters },
+            { label: 'Toggle layout orientation', run: () => setOrientation(CONFIG.orientation === 'horizontal' ? 'vertical' : 'horizontal') },
+            selected && {
+                label: `${progress.completed.has(selected.id) ? 'Reopen' : 'Complete'} ${selected.name}`,
+                detail: 'C',
+                run: () => setQuestCompleted(selected.id, !progress.completed.has(selected.id))
+            },
+            selected && { label: `Focus on ${selected.name}`, detail: 'F', run: () => setFocus(selected.id) },
+            focusTrail.length > 0 && { label: 'Show all quests', detail: 'Leave focus', run: clearFocus },
+            { label: 'Export progress', detail: 'JSON file', run: exportProgressFile },
+            { label: 'Export graph', detail: 'SVG, whole graph', run: () => exportSvg('full') },
+            { label: 'Export graph', detail: 'PNG, whole graph at 2×', run: () => exportPng('full', 2) },
+            { label: 'Download checklist', detail: 'HTML', run: exportChecklist },
+            { label: 'Print checklist', run: printChecklist },
+            { label: 'Export shopping list', detail: 'CSV', run: () => exportItems('csv') },
+            { label: 'Export shopping list', detail: 'Text', run: () => exportItems('txt') },
+            { label: 'Download quest data', detail: 'quests.json', run: () => downloadFile('quests.json', formatDataset(data), 'application/json') },
+            { label: 'Import or share progress', run: () => document.getElementById('transferBtn').click() },
+            { label: 'Manage profiles', run: () => document.getElementById('profilesBtn').click() },
+            { label: 'Data sources', run: () => document.getElementById('sourcesBtn').click() },
+            { label: editing ? 'Stop editing quests' : 'Edit quests', run: () => setEditing(!editing) },
+            { label: 'Focus search', detail: '/', run: () => document.getElementById('search').focus() }
+        ].filter(Boolean).concat(views.map(tab => ({
+            label: `Show ${tab.textContent.trim()} view`,
+            detail: tab.title,
+            run: () => setView(tab.dataset.view)
+        })));
+        
+        const quests = data.quests.map(q => ({
+            label: q.name,
+            detail: [q.trader, q.group].filter(Boolean).join(' · '),
+            run: () => selectQuest(q.id)
+        }));
+        
+        const rewards = buildRewardCatalog().map(entry => ({
+            label: entry.name,
+            detail: `from ${entry.quests.length === 1 ? questMap.get(entry.quests[0].id).name : plural(entry.quests.length, 'quest')}`,
+            run: () => {
+                setView('rewards');
+                if (rewardFocus !== entry.key) setRewardFocus(entry.key);
             }
-            if (e.key === '-') {
-                transform.k = Math.max(0.1, transform.k / 1.2);
-                applyTransform(group);
+        }));
+        
+        const traders = listEntries(traderInfo).map(entry => ({
+            label: entry.name,
+            detail: plural(entry.quests, 'quest'),
+            run: () => {
+                document.getElementById('traderFilter').value = entry.name;
+                applyFilters();
             }
-            if (e.key === '0') fitToView();
+        }));
+        
+        const tag = kind => entry => Object.assign({ kind, detail: '' }, entry);
+        return actions.map(tag('Action'))
+            .concat(quests.map(tag('Quest')), rewards.map(tag('Reward')), traders.map(tag('Trader')));
+    }
+    
+    // Without a query the actions are listed; otherwise every entry is
+    // ranked by the search box's matching (QuestQuery.matchText), ties
+    // broken by kind and then by list order
+    function filterPalette(query) {
+        const q = query.trim();
+        
+        palette.matches = (q
+            ? palette.entries
+                .map((entry, order) => Object.assign({ match: QuestQuery.matchText(q, entry.label), order }, entry))
+                .filter(entry => entry.match)
+                .sort((a, b) => b.match.score - a.match.score ||
+                    PALETTE_KINDS.indexOf(a.kind) - PALETTE_KINDS.indexOf(b.kind) || a.order - b.order)
+            : palette.entries.filter(entry => entry.kind === 'Action')
+        ).slice(0, PALETTE_LIMIT);
+        
+        renderPalette();
+        setPaletteActive(0);
+    }
+    
+    function renderPalette() {
+        const list = document.getElementById('paletteList');
+        
+        list.innerHTML = palette.matches.length === 0
+            ? '<div class="empty">Nothing matches</div>'
+            : html`${palette.matches.map((entry, i) => html`
+                <div class="palette-item" role="option" id="palette-${i}" data-index="${i}" aria-selected="false">
+                    <span class="tag">${entry.kind}</span>
+                    <span class="palette-label">${highlightMatch(entry.label, entry.match)}</span>
+                    <span class="palette-detail">${entry.detail}</span>
+                </div>
+            `)}`;
+        
+        list.querySelectorAll('.palette-item').forEach(el => {
+            const index = Number(el.dataset.index);
+            el.addEventListener('mousemove', () => {
+                if (palette.active !== index) setPaletteActive(index);
+            });
+            el.addEventListener('click', () => runPaletteEntry(palette.matches[index]));
+        });
+    }
+    
+    function highlightMatch(label, match) {
+        return match ? markRanges(label, match.ranges) : label;
+    }
+    
+    function setPaletteActive(index) {
+        palette.active = index;
+        const input = document.getElementById('paletteInput');
+        
+        document.querySelectorAll('#paletteList .palette-item').forEach(el => {
+            const active = Number(el.dataset.index) === index;
+            el.classList.toggle('active', active);
+            el.setAttribute('aria-selected', active);
+            if (active) el.scrollIntoView({ block: 'nearest' });
         });
         
-        window.addEventListener('resize', debounce(fitToView, 200));
+        if (palette.matches.length > 0) input.setAttribute('aria-activedescendant', `palette-${index}`);
+        else input.removeAttribute('aria-activedescendant');
+    }
+    
+    // Focus is not handed back when the entry moves it itself (search, quests)
+    function runPaletteEntry(entry) {
+        if (!entry) return;
+        document.getElementById('paletteModal').hidden = true;
+        palette.returnFocus = null;
+        entry.run();
+        
+        if (entry.kind === 'Quest') setCursor(selectedId);
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -676,15 +4690,48 @@
     // ═══════════════════════════════════════════════════════════════
     
     function setupLegend() {
+        renderLegend();
+        
+        // A trader entry toggles the trader filter
+        document.getElementById('legendTraders').addEventListener('click', e => {
+            const row = e.target.closest('[data-trader]');
+            if (!row) return;
+            const select = document.getElementById('traderFilter');
+            select.value = select.value === row.dataset.trader ? 'all' : row.dataset.trader;
+            applyFilters();
+        });
+    }
+    
+    // Lists whichever colour scheme the nodes currently use
+    function renderLegend() {
         const el = document.getElementById('legendTraders');
-        Object.entries(CONFIG.traderColors).forEach(([name, color]) => {
-            if (!name) return;
-            el.innerHTML += `
+        
+        if (CONFIG.colorBy === 'location') {
+            const locations = [...new Set(data.quests.flatMap(q => getSpecificLocations(q)))].concat('Any');
+            el.innerHTML = html`${locations.map(location => html`
                 <div class="legend-row">
-                    <span class="dot" style="background: ${color}"></span>
-                    <span>${name}</span>
+                    <span class="dot" style="background: ${locationColor(location)}"></span>
+                    <span>${location}</span>
                 </div>
-            `;
+            `)}`;
+        } else {
+            el.innerHTML = html`${listEntries(traderInfo).map(entry => html`
+                <button class="legend-row legend-trader" data-trader="${entry.name}" aria-pressed="false"
+                    title="${entry.description ? `${entry.description} · ` : ''}Show only ${entry.name}'s quests">
+                    <span class="dot" style="background: ${entry.color}"></span>
+                    <span>${entryLabel(entry)}</span>
+                </button>
+            `)}`;
+            markLegendTrader(document.getElementById('traderFilter').value);
+        }
+        document.getElementById('toggleColor').classList.toggle('active', CONFIG.colorBy === 'location');
+    }
+    
+    function markLegendTrader(trader) {
+        document.querySelectorAll('#legendTraders [data-trader]').forEach(row => {
+            const active = row.dataset.trader === trader;
+            row.classList.toggle('active', active);
+            row.setAttribute('aria-pressed', String(active));
         });
     }
     
@@ -694,12 +4741,35 @@
         let linkCount = 0;
         data.quests.forEach(q => linkCount += q.prerequisites.length);
         document.getElementById('linkCount').textContent = linkCount;
+        
+        document.getElementById('doneCount').textContent = progress.completed.size;
     }
 
     // ═══════════════════════════════════════════════════════════════
     // UTILITIES
     // ═══════════════════════════════════════════════════════════════
     
+    let noticeTimer = null;
+    
+    // action: optional { label, run } shown as a button beside the message
+    function showNotice(message, timeout = 6000, action = null) {
+        const el = document.getElementById('notice');
+        document.getElementById('noticeText').textContent = message;
+        
+        const button = document.getElementById('noticeAction');
+        button.hidden = !action;
+        button.textContent = action ? action.label : '';
+        button.onclick = action ? () => {
+            el.hidden = true;
+            action.run();
+        } : null;
+        
+        el.hidden = false;
+        
+        clearTimeout(noticeTimer);
+        if (timeout) noticeTimer = setTimeout(() => el.hidden = true, timeout);
+    }
+    
     function groupBy(arr, key) {
         return arr.reduce((acc, item) => {
             const k = item[key];
@@ -708,6 +4778,56 @@
         }, {});
     }
     
+    function maxBy(arr, fn) {
+        let best = arr[0];
+        let bestScore = -Infinity;
+        arr.forEach(item => {
+            const score = fn(item);
+            if (score > bestScore) {
+                best = item;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+    
+    function plural(n, word) {
+        return `${n} ${word}${n === 1 ? '' : 's'}`;
+    }
+    
+    function csvCell(value) {
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+    
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // Escapes text and wraps the [start, end) ranges in <mark>
+    function markRanges(text, ranges) {
+        const parts = [];
+        let at = 0;
+        ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (start < at) start = at;
+            if (end <= start) return;
+            parts.push(text.slice(at, start), html`<mark>${text.slice(start, end)}</mark>`);
+            at = end;
+        });
+        return html`${parts}${text.slice(at)}`;
+    }
+    
+    // Views build markup with html`...`, which escapes every value it is given
+    const html = QuestMarkup.html;
+    const join = QuestMarkup.join;
+    
     function truncate(str, len) {
         return str.length > len ? str.slice(0, len - 1) + '…' : str;
     }
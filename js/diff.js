@@ -0,0 +1,203 @@
+// Arc Raiders Quest Graph — Dataset diff
+// Compares two versions of quests.json: added, removed and renamed quests,
+// and per-quest changes to prerequisites, objectives, rewards and other fields.
+// Browser: QuestDiff.diff(before, after).
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestDiff = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Scalar and list fields compared as a whole
+    const FIELDS = ['group', 'trader', 'unlockMilestone', 'inOneRound', 'requiredLocations', 'tags'];
+
+    function questsOf(dataset) {
+        const byId = new Map();
+        ((dataset && dataset.quests) || []).forEach(q => {
+            if (q && typeof q.id === 'string' && !byId.has(q.id)) byId.set(q.id, q);
+        });
+        return byId;
+    }
+
+    function list(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    function objectiveText(objective) {
+        return objective && typeof objective === 'object' ? String(objective.text) : String(objective);
+    }
+
+    function objectiveCount(objective) {
+        return objective && typeof objective === 'object' && objective.count > 0 ? objective.count : 1;
+    }
+
+    function normalizeName(name) {
+        return String(name || '').trim().toLowerCase();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DIFF
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Compares two datasets ({ meta, quests }).
+     * @returns {{
+     *   before: object, after: object,
+     *   added: object[], removed: object[], changed: object[]
+     * }} added/removed are { id, name }; changed entries are
+     *    { id, previousId, name, renamed, prerequisites, objectives, rewards, fields }
+     *    and only listed when something differs
+     */
+    function diff(before, after) {
+        const oldQuests = questsOf(before);
+        const newQuests = questsOf(after);
+
+        const added = [...newQuests.values()].filter(q => !oldQuests.has(q.id));
+        const removed = [...oldQuests.values()].filter(q => !newQuests.has(q.id));
+
+        // A quest whose id changed shows up as removed + added; pair them
+        // back up by name first. A quest renamed as well only pairs with one
+        // from the same trader with identical objectives and prerequisites,
+        // compared through the ids paired so far.
+        const idMap = new Map([...oldQuests.keys()].filter(id => newQuests.has(id)).map(id => [id, id]));
+        const pairs = [];
+        const pair = (old, match) => {
+            idMap.set(old.id, match.id);
+            pairs.push([old, match]);
+            removed.splice(removed.indexOf(old), 1);
+            added.splice(added.indexOf(match), 1);
+        };
+        removed.slice().forEach(old => {
+            const match = added.find(q => normalizeName(q.name) === normalizeName(old.name));
+            if (match) pair(old, match);
+        });
+        removed.slice().forEach(old => {
+            const match = added.find(q => q.trader === old.trader && sameObjectives(q, old) && samePrerequisites(old, q, idMap));
+            if (match) pair(old, match);
+        });
+
+        const changed = [];
+        oldQuests.forEach(old => {
+            if (newQuests.has(old.id)) pairs.push([old, newQuests.get(old.id)]);
+        });
+        pairs.forEach(([old, current]) => {
+            const entry = compareQuest(old, current, idMap);
+            if (entry) changed.push(entry);
+        });
+
+        const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+        return {
+            before: metaOf(before),
+            after: metaOf(after),
+            added: added.map(q => ({ id: q.id, name: q.name })).sort(byName),
+            removed: removed.map(q => ({ id: q.id, name: q.name })).sort(byName),
+            changed: changed.sort(byName)
+        };
+    }
+
+    function metaOf(dataset) {
+        const meta = (dataset && dataset.meta) || {};
+        return { version: meta.version, generated: meta.generated };
+    }
+
+    function sameObjectives(a, b) {
+        const left = list(a.objectives).map(objectiveText);
+        const right = list(b.objectives).map(objectiveText);
+        return left.length > 0 && left.length === right.length && left.every((t, i) => t === right[i]);
+    }
+
+    function samePrerequisites(old, current, idMap) {
+        const left = new Set(list(old.prerequisites).map(id => idMap.get(id) || id));
+        const right = new Set(list(current.prerequisites));
+        return left.size === right.size && [...left].every(id => right.has(id));
+    }
+
+    function compareQuest(old, current, idMap) {
+        const renamed = old.id !== current.id || old.name !== current.name
+            ? { from: old.name, to: current.name }
+            : null;
+
+        // Prerequisites are compared in the new id space so a renamed
+        // prerequisite doesn't read as one removed and one added
+        const prerequisites = compareSets(
+            list(old.prerequisites).map(id => idMap.get(id) || id),
+            list(current.prerequisites)
+        );
+
+        const oldObjectives = new Map(list(old.objectives).map(o => [objectiveText(o), objectiveCount(o)]));
+        const newObjectives = new Map(list(current.objectives).map(o => [objectiveText(o), objectiveCount(o)]));
+        const objectives = compareSets([...oldObjectives.keys()], [...newObjectives.keys()]);
+        objectives.changed = [...newObjectives.keys()]
+            .filter(text => oldObjectives.has(text) && oldObjectives.get(text) !== newObjectives.get(text))
+            .map(text => ({ text, before: oldObjectives.get(text), after: newObjectives.get(text) }));
+
+        const oldRewards = new Map(list(old.rewards).map(r => [r.name, r.quantity]));
+        const newRewards = new Map(list(current.rewards).map(r => [r.name, r.quantity]));
+        const rewards = compareSets([...oldRewards.keys()], [...newRewards.keys()]);
+        rewards.changed = [...newRewards.keys()]
+            .filter(name => oldRewards.has(name) && String(oldRewards.get(name)) !== String(newRewards.get(name)))
+            .map(name => ({ name, before: oldRewards.get(name), after: newRewards.get(name) }));
+
+        const fields = FIELDS
+            .filter(key => JSON.stringify(old[key]) !== JSON.stringify(current[key]))
+            .map(key => ({ field: key, before: old[key], after: current[key] }));
+
+        const empty = s => s.added.length === 0 && s.removed.length === 0 && (!s.changed || s.changed.length === 0);
+        if (!renamed && empty(prerequisites) && empty(objectives) && empty(rewards) && fields.length === 0) return null;
+
+        return {
+            id: current.id,
+            previousId: old.id !== current.id ? old.id : null,
+            name: current.name,
+            renamed,
+            prerequisites,
+            objectives,
+            rewards,
+            fields
+        };
+    }
+
+    function compareSets(before, after) {
+        const left = new Set(before);
+        const right = new Set(after);
+        return {
+            added: after.filter(x => !left.has(x)),
+            removed: before.filter(x => !right.has(x))
+        };
+    }
+
+    function countChanges(result) {
+        return result.added.length + result.removed.length + result.changed.length;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // REPORTING
+    // ═══════════════════════════════════════════════════════════════
+
+    function describeVersion(meta) {
+        return [meta.version !== undefined && `v${meta.version}`, meta.generated].filter(Boolean).join(' ') || 'unversioned';
+    }
+
+    // One line per change; nameOf maps quest ids to display names
+    function describeChange(entry, nameOf = id => id) {
+        const lines = [];
+        if (entry.renamed && entry.renamed.from !== entry.renamed.to) {
+            lines.push(`renamed from "${entry.renamed.from}"${entry.previousId ? ` (${entry.previousId})` : ''}`);
+        } else if (entry.previousId) {
+            lines.push(`id changed from ${entry.previousId}`);
+        }
+        entry.prerequisites.added.forEach(id => lines.push(`+ prerequisite ${nameOf(id)}`));
+        entry.prerequisites.removed.forEach(id => lines.push(`- prerequisite ${nameOf(id)}`));
+        entry.objectives.added.forEach(text => lines.push(`+ objective "${text}"`));
+        entry.objectives.removed.forEach(text => lines.push(`- objective "${text}"`));
+        entry.objectives.changed.forEach(o => lines.push(`~ objective "${o.text}" ×${o.before} → ×${o.after}`));
+        entry.rewards.added.forEach(name => lines.push(`+ reward ${name}`));
+        entry.rewards.removed.forEach(name => lines.push(`- reward ${name}`));
+        entry.rewards.changed.forEach(r => lines.push(`~ reward ${r.name} ${r.before} → ${r.after}`));
+        entry.fields.forEach(f => lines.push(`~ ${f.field} ${JSON.stringify(f.before)} → ${JSON.stringify(f.after)}`));
+        return lines;
+    }
+
+    return { diff, countChanges, describeChange, describeVersion };
+});
@@ -0,0 +1,360 @@
+// Arc Raiders Quest Graph — Layered layout
+// Sugiyama-style pipeline: cycle removal, layer assignment, barycenter
+// crossing minimisation and coordinate assignment. Pure, runs under Node too.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestLayout = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const DEFAULTS = {
+        orientation: 'vertical',    // 'vertical' (top-down) or 'horizontal' (left-right)
+        nodeSpacing: 160,           // between neighbours within a layer
+        layerSpacing: 80,           // between consecutive layers
+        sweeps: 12,                 // barycenter passes, alternating down and up
+        alignPasses: 8              // coordinate relaxation passes
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // PIPELINE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Lays out quests as a layered DAG.
+     * @param {Array<{id: string, prerequisites: string[]}>} quests
+     * @param {object} [options] overrides for DEFAULTS
+     * @returns {{
+     *   positions: Map<string, {x: number, y: number}>,
+     *   edges: Array<{from: string, to: string, points: Array<{x: number, y: number}>, reversed: boolean}>,
+     *   layers: string[][],
+     *   cycles: string[][],
+     *   crossings: number,
+     *   orientation: string
+     * }}
+     */
+    function computeLayout(quests, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const graph = buildGraph(quests);
+        const cycles = removeCycles(graph);
+
+        assignLayers(graph);
+        const layers = insertDummies(graph);
+        const crossings = orderLayers(graph, layers, opts.sweeps);
+        assignCoordinates(graph, layers, opts);
+
+        const point = key => {
+            const node = graph.nodes.get(key);
+            return opts.orientation === 'horizontal'
+                ? { x: node.layer * opts.layerSpacing, y: node.pos }
+                : { x: node.pos, y: node.layer * opts.layerSpacing };
+        };
+
+        const positions = new Map();
+        graph.ids.forEach(id => positions.set(id, point(id)));
+
+        const edges = graph.edges.map(edge => {
+            const points = edge.chain.map(point);
+            if (edge.reversed) points.reverse();
+            return { from: edge.from, to: edge.to, points, reversed: edge.reversed };
+        });
+
+        return {
+            positions,
+            edges,
+            layers: layers.map(layer => layer.filter(key => !graph.nodes.get(key).dummy)),
+            cycles,
+            crossings,
+            orientation: opts.orientation
+        };
+    }
+
+    // Edges run prerequisite -> quest. Unknown ids and duplicates are dropped.
+    function buildGraph(quests) {
+        const nodes = new Map();
+        const ids = [];
+
+        quests.forEach(q => {
+            if (nodes.has(q.id)) return;
+            ids.push(q.id);
+            nodes.set(q.id, { key: q.id, dummy: false, succs: [], preds: [], layer: 0, pos: 0 });
+        });
+
+        const edges = [];
+        const seen = new Set();
+        quests.forEach(q => {
+            (q.prerequisites || []).forEach(p => {
+                const key = `${p}\u0000${q.id}`;
+                if (!nodes.has(p) || seen.has(key)) return;
+                seen.add(key);
+                edges.push({ from: p, to: q.id, tail: p, head: q.id, reversed: false, chain: [] });
+            });
+        });
+
+        return { nodes, ids, edges };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CYCLE REMOVAL
+    // ═══════════════════════════════════════════════════════════════
+
+    // Depth-first search reversing every back edge. Returns each cycle found
+    // as the id path that closes it. Self-loops are dropped entirely.
+    function removeCycles(graph) {
+        const cycles = [];
+        const out = new Map(graph.ids.map(id => [id, []]));
+
+        graph.edges = graph.edges.filter(edge => {
+            if (edge.from !== edge.to) return true;
+            cycles.push([edge.from]);
+            return false;
+        });
+        graph.edges.forEach(edge => out.get(edge.from).push(edge));
+
+        const state = new Map();    // undefined = unvisited, 1 = on stack, 2 = done
+        const stack = [];
+
+        graph.ids.forEach(start => {
+            if (state.has(start)) return;
+
+            const frames = [{ id: start, next: 0 }];
+            state.set(start, 1);
+            stack.push(start);
+
+            while (frames.length > 0) {
+                const frame = frames[frames.length - 1];
+                const edge = out.get(frame.id)[frame.next++];
+
+                if (!edge) {
+                    state.set(frame.id, 2);
+                    stack.pop();
+                    frames.pop();
+                    continue;
+                }
+
+                const s = state.get(edge.to);
+                if (s === 1) {
+                    cycles.push(stack.slice(stack.indexOf(edge.to)).concat(edge.to));
+                    edge.reversed = true;
+                    edge.tail = edge.to;
+                    edge.head = edge.from;
+                } else if (s === undefined) {
+                    state.set(edge.to, 1);
+                    stack.push(edge.to);
+                    frames.push({ id: edge.to, next: 0 });
+                }
+            }
+        });
+
+        graph.edges.forEach(edge => {
+            graph.nodes.get(edge.tail).succs.push(edge.head);
+            graph.nodes.get(edge.head).preds.push(edge.tail);
+        });
+
+        return cycles;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // LAYERING
+    // ═══════════════════════════════════════════════════════════════
+
+    // Longest path from the sources, then sources are pulled down to sit
+    // directly above their nearest child so they don't drag long edges.
+    function assignLayers(graph) {
+        const indegree = new Map();
+        graph.ids.forEach(id => indegree.set(id, graph.nodes.get(id).preds.length));
+
+        const queue = graph.ids.filter(id => indegree.get(id) === 0);
+        for (let i = 0; i < queue.length; i++) {
+            const node = graph.nodes.get(queue[i]);
+            node.succs.forEach(s => {
+                const child = graph.nodes.get(s);
+                child.layer = Math.max(child.layer, node.layer + 1);
+                indegree.set(s, indegree.get(s) - 1);
+                if (indegree.get(s) === 0) queue.push(s);
+            });
+        }
+
+        graph.ids.forEach(id => {
+            const node = graph.nodes.get(id);
+            if (node.preds.length > 0 || node.succs.length === 0) return;
+            node.layer = Math.min(...node.succs.map(s => graph.nodes.get(s).layer)) - 1;
+        });
+    }
+
+    // Splits edges spanning several layers into chains of dummy nodes so
+    // ordering and routing treat them like real nodes.
+    function insertDummies(graph) {
+        graph.edges.forEach((edge, index) => {
+            const tail = graph.nodes.get(edge.tail);
+            const head = graph.nodes.get(edge.head);
+            edge.chain = [edge.tail];
+
+            let prev = tail;
+            for (let layer = tail.layer + 1; layer < head.layer; layer++) {
+                const key = `\u0000${index}:${layer}`;
+                const dummy = { key, dummy: true, succs: [], preds: [prev.key], layer, pos: 0 };
+                graph.nodes.set(key, dummy);
+                prev.succs.push(key);
+                edge.chain.push(key);
+                prev = dummy;
+            }
+
+            if (prev !== tail) {
+                tail.succs.splice(tail.succs.indexOf(edge.head), 1);
+                head.preds.splice(head.preds.indexOf(edge.tail), 1, prev.key);
+                prev.succs.push(edge.head);
+            }
+            edge.chain.push(edge.head);
+        });
+
+        const layers = [];
+        graph.nodes.forEach(node => {
+            (layers[node.layer] = layers[node.layer] || []).push(node.key);
+        });
+        for (let i = 0; i < layers.length; i++) layers[i] = layers[i] || [];
+        return layers;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CROSSING MINIMISATION
+    // ═══════════════════════════════════════════════════════════════
+
+    // Alternating barycenter sweeps, keeping the best ordering seen.
+    // Returns the crossing count of that ordering.
+    function orderLayers(graph, layers, sweeps) {
+        const index = new Map();
+        const reindex = layer => layer.forEach((key, i) => index.set(key, i));
+        layers.forEach(reindex);
+
+        let best = layers.map(layer => layer.slice());
+        let bestCrossings = countAllCrossings(graph, layers, index);
+
+        for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+            const down = sweep % 2 === 0;
+
+            if (down) {
+                for (let l = 1; l < layers.length; l++) {
+                    sortByBarycenter(layers[l], key => graph.nodes.get(key).preds, index);
+                    reindex(layers[l]);
+                }
+            } else {
+                for (let l = layers.length - 2; l >= 0; l--) {
+                    sortByBarycenter(layers[l], key => graph.nodes.get(key).succs, index);
+                    reindex(layers[l]);
+                }
+            }
+
+            const crossings = countAllCrossings(graph, layers, index);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => layer.slice());
+            }
+        }
+
+        best.forEach((layer, l) => { layers[l] = layer; });
+        return bestCrossings;
+    }
+
+    // Nodes without neighbours on the reference side keep their slot
+    function sortByBarycenter(layer, neighbours, index) {
+        const weight = new Map();
+        layer.forEach((key, i) => {
+            const adj = neighbours(key);
+            weight.set(key, adj.length > 0
+                ? adj.reduce((sum, k) => sum + index.get(k), 0) / adj.length
+                : i);
+        });
+        layer.sort((a, b) => weight.get(a) - weight.get(b) || index.get(a) - index.get(b));
+    }
+
+    function countAllCrossings(graph, layers, index) {
+        let total = 0;
+        for (let l = 0; l < layers.length - 1; l++) {
+            const pairs = [];
+            layers[l].forEach(key => {
+                graph.nodes.get(key).succs.forEach(s => pairs.push([index.get(key), index.get(s)]));
+            });
+            total += countCrossings(pairs, layers[l + 1].length);
+        }
+        return total;
+    }
+
+    /**
+     * Counts crossings between two layers in O(E log V) with a Fenwick tree.
+     * @param {Array<[number, number]>} pairs edge endpoints as (upper index, lower index)
+     * @param {number} size number of nodes in the lower layer
+     */
+    function countCrossings(pairs, size) {
+        pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const tree = new Array(size + 1).fill(0);
+        let crossings = 0;
+
+        pairs.forEach(([, lower], seen) => {
+            // Earlier edges ending strictly to the right of this one cross it
+            let atOrBelow = 0;
+            for (let i = lower + 1; i > 0; i -= i & -i) atOrBelow += tree[i];
+            crossings += seen - atOrBelow;
+            for (let i = lower + 1; i <= size; i += i & -i) tree[i]++;
+        });
+
+        return crossings;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // COORDINATE ASSIGNMENT
+    // ═══════════════════════════════════════════════════════════════
+
+    // Pulls each node toward the mean of its neighbours while keeping the
+    // layer order and minimum spacing, then centres the drawing on 0.
+    function assignCoordinates(graph, layers, opts) {
+        const spacing = opts.nodeSpacing;
+
+        layers.forEach(layer => {
+            const offset = (layer.length - 1) * spacing / 2;
+            layer.forEach((key, i) => { graph.nodes.get(key).pos = i * spacing - offset; });
+        });
+
+        for (let pass = 0; pass < opts.alignPasses; pass++) {
+            const down = pass % 2 === 0;
+            const order = down ? layers.slice(1) : layers.slice(0, -1).reverse();
+            order.forEach(layer => {
+                const desired = layer.map(key => {
+                    const node = graph.nodes.get(key);
+                    const adj = down ? node.preds : node.succs;
+                    if (adj.length === 0) return node.pos;
+                    return adj.reduce((sum, k) => sum + graph.nodes.get(k).pos, 0) / adj.length;
+                });
+                placeInOrder(desired, spacing).forEach((pos, i) => { graph.nodes.get(layer[i]).pos = pos; });
+            });
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        graph.nodes.forEach(node => {
+            min = Math.min(min, node.pos);
+            max = Math.max(max, node.pos);
+        });
+        const shift = graph.nodes.size > 0 ? (min + max) / 2 : 0;
+        graph.nodes.forEach(node => { node.pos -= shift; });
+    }
+
+    // Closest ordered placement to `desired` with gaps of at least `spacing`:
+    // the mean of the tightest left-packed and right-packed placements.
+    function placeInOrder(desired, spacing) {
+        const n = desired.length;
+        const left = new Array(n);
+        const right = new Array(n);
+
+        for (let i = 0; i < n; i++) {
+            left[i] = i === 0 ? desired[i] : Math.max(desired[i], left[i - 1] + spacing);
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            right[i] = i === n - 1 ? desired[i] : Math.min(desired[i], right[i + 1] - spacing);
+        }
+
+        return left.map((l, i) => (l + right[i]) / 2);
+    }
+
+    return { DEFAULTS, computeLayout, countCrossings };
+});
@@ -0,0 +1,89 @@
+// Arc Raiders Quest Graph — Safe markup
+// Builds HTML from quest data with every value escaped unless it says otherwise:
+//   html`<b>${value}</b>`   escapes each value; arrays print each element,
+//                           null/undefined/false print nothing
+//   raw(markup)             trusted markup, passed through html`` untouched
+//   join(values, separator) values escaped and joined, like Array#join
+//   rich(text, options)     the objective subset: **bold**, [[Item]] and {{quest_id}}
+// Datasets opt in to the rich subset with meta.richText: true.
+// Browser: QuestMarkup.html`...`. Also runs under Node, as test/markup.test.js does.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestMarkup = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    const SAFE = Symbol('safe markup');
+
+    // Bold first so item and quest references can sit inside it
+    const RICH_PATTERN = /\*\*(.+?)\*\*|\[\[([^\[\]]+)\]\]|\{\{([\w-]+)\}\}/g;
+
+    function escape(value) {
+        return String(value).replace(/[&<>"']/g, c => ENTITIES[c]);
+    }
+
+    function raw(markup) {
+        return { [SAFE]: true, markup: String(markup), toString() { return this.markup; } };
+    }
+
+    function isSafe(value) {
+        return !!value && value[SAFE] === true;
+    }
+
+    function render(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(render).join('');
+        return isSafe(value) ? value.markup : escape(value);
+    }
+
+    /**
+     * Tag for template literals; the result can be assigned to innerHTML or
+     * interpolated into another html`` without being escaped twice.
+     * @returns {{ markup: string, toString(): string }}
+     */
+    function html(strings, ...values) {
+        return raw(strings.reduce((out, text, i) => out + render(values[i - 1]) + text));
+    }
+
+    function join(values, separator = ', ') {
+        return raw(values.map(render).join(escape(separator)));
+    }
+
+    /**
+     * Renders objective text with the rich subset; anything else in it is
+     * escaped. {{id}} of an unknown quest stays as typed.
+     * @param {string} text
+     * @param {{ questName?: function(string): ?string }} [options] questName
+     *        names a quest id, or returns null when there is no such quest
+     * @returns html`` markup; quest links are <a class="quest-ref" data-id>
+     *          for the caller to wire up
+     */
+    function rich(text, options = {}) {
+        const source = String(text);
+        const pattern = new RegExp(RICH_PATTERN.source, 'g');
+        const parts = [];
+        let at = 0;
+        let m;
+
+        while ((m = pattern.exec(source)) !== null) {
+            parts.push(source.slice(at, m.index));
+            at = pattern.lastIndex;
+
+            if (m[1] !== undefined) {
+                parts.push(html`<strong>${rich(m[1], options)}</strong>`);
+            } else if (m[2] !== undefined) {
+                parts.push(html`<span class="item-ref">${m[2].trim()}</span>`);
+            } else {
+                const name = options.questName ? options.questName(m[3]) : null;
+                parts.push(name ? html`<a class="quest-ref" href="#q=${m[3]}" data-id="${m[3]}">${name}</a>` : m[0]);
+            }
+        }
+        parts.push(source.slice(at));
+
+        return html`${parts}`;
+    }
+
+    return { escape, raw, html, join, rich };
+});
@@ -0,0 +1,179 @@
+// Arc Raiders Quest Graph — Structured objectives
+// Objectives are either legacy strings or { text, type, target, count, item }.
+// parse() derives the structured form from a string. Node: `node js/objectives.js [file]`
+// prints the dataset with every string objective converted.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+        if (require.main === module) module.exports.main(process.argv.slice(2));
+    } else {
+        root.QuestObjectives = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const TYPES = ['kill', 'loot', 'deliver', 'visit', 'interact'];
+
+    const NUMBER_WORDS = {
+        a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+        six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+    };
+
+    const NUM = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+    // First match wins. Each rule maps its captures to fields.
+    const RULES = [
+        {
+            type: 'deliver',
+            pattern: new RegExp(`^(?:get|obtain|deliver|bring|hand in)\\s+(?:${NUM}\\s+)?(?:the\\s+)?(.+?)(?:\\s+(?:for|to)\\s+(.+))?$`, 'i'),
+            fields: m => ({ count: m[1], item: m[2], target: m[3] })
+        },
+        {
+            type: 'kill',
+            pattern: new RegExp(`^(?:destroy|kill|defeat|eliminate)\\s+(?:${NUM}\\s+)?(?:any\\s+)?(.+?)(?:\\s+(?:using|with)\\s+.+|\\s+&\\s+.+)?$`, 'i'),
+            fields: m => ({ count: m[1], target: m[2] })
+        },
+        {
+            type: 'loot',
+            pattern: new RegExp(`^(?:find|collect|retrieve)\\s+(\\d+)\\s+(.+)$`, 'i'),
+            fields: m => ({ count: m[1], item: m[2] })
+        },
+        {
+            type: 'loot',
+            pattern: /^retrieve\s+(?:the\s+)?(.+?)(?:\s+from\s+(.+))?$/i,
+            fields: m => ({ item: m[1], target: m[2] })
+        },
+        {
+            type: 'loot',
+            pattern: new RegExp(`^(?:loot|search|find and search)\\s+(?:${NUM}\\s+)?(?:for\\s+)?(.+?)(?:\\s+\\((\\d+)\\))?$`, 'i'),
+            fields: m => ({ count: m[1] || m[3], target: m[2] })
+        },
+        {
+            type: 'visit',
+            pattern: /^(?:visit|reach|go to|enter|locate|find|follow|deploy into|investigate)\s+(?!and\b)(.+)$/i,
+            fields: m => ({ target: m[1] })
+        },
+        {
+            type: 'interact',
+            pattern: new RegExp(`^\\S+(?:\\s+and\\s+\\S+)?\\s+(?:${NUM}\\s+)?.*?(?:\\s*\\((\\d+)\\))?$`, 'i'),
+            fields: m => ({ count: m[1] || m[2] })
+        }
+    ];
+
+    function toCount(value) {
+        if (value === undefined || value === null || value === '') return 1;
+        const n = NUMBER_WORDS[String(value).toLowerCase()] || parseInt(value, 10);
+        return n > 0 ? n : 1;
+    }
+
+    function clean(value) {
+        if (typeof value !== 'string') return null;
+        const trimmed = value.trim().replace(/\s+/g, ' ').replace(/^(?:a|an|the)\s+/i, '');
+        return trimmed || null;
+    }
+
+    /**
+     * Parses a legacy objective string. Anything not recognised becomes an
+     * "interact" objective so every string converts.
+     * @param {string} text
+     * @returns {{ text: string, type: string, target: ?string, count: number, item: ?string }}
+     */
+    function parse(text) {
+        const source = String(text).trim();
+
+        for (const rule of RULES) {
+            const m = source.match(rule.pattern);
+            if (!m) continue;
+
+            const fields = rule.fields(m);
+            const item = clean(fields.item);
+            return {
+                text: source,
+                type: rule.type,
+                target: clean(fields.target),
+                count: toCount(fields.count),
+                item: item && !/^items?$/i.test(item) ? item : null
+            };
+        }
+
+        return { text: source, type: 'interact', target: null, count: 1, item: null };
+    }
+
+    function isStructured(objective) {
+        return !!objective && typeof objective === 'object' && typeof objective.text === 'string';
+    }
+
+    // Structured form of either representation
+    function normalize(objective) {
+        if (!isStructured(objective)) return parse(objective);
+        return {
+            text: objective.text,
+            type: TYPES.includes(objective.type) ? objective.type : 'interact',
+            target: clean(objective.target),
+            count: toCount(objective.count),
+            item: clean(objective.item)
+        };
+    }
+
+    function getText(objective) {
+        return isStructured(objective) ? objective.text : String(objective);
+    }
+
+    // Legacy strings are a single tick; only structured objectives count up
+    function getCount(objective) {
+        return isStructured(objective) ? toCount(objective.count) : 1;
+    }
+
+    /**
+     * Items an objective consumes: what is delivered, plus counted materials
+     * in a "using 5 Wires and 2 Batteries" clause.
+     * @returns {Array<{ name: string, count: number }>}
+     */
+    function requiredItems(objective) {
+        const o = normalize(objective);
+        const items = [];
+
+        if (o.type === 'deliver' && o.item) {
+            const parts = splitList(o.item);
+            parts.forEach(name => items.push({ name, count: parts.length > 1 ? 1 : o.count }));
+        }
+
+        const using = o.text.match(/\busing\s+(.+)$/i);
+        if (using) {
+            const parts = splitList(using[1]).map(p => p.match(/^(\d+)\s+(.+)$/));
+            if (parts.every(Boolean)) {
+                parts.forEach(m => items.push({ name: m[2], count: toCount(m[1]) }));
+            }
+        }
+
+        return items;
+    }
+
+    function splitList(text) {
+        return text.split(/\s*(?:,|&|\band\b)\s*/i).map(clean).filter(Boolean);
+    }
+
+    // Folds plurals so "Wires" and "Wire" or "Batteries" and "Battery" share a key
+    function itemKey(name) {
+        return name.toLowerCase()
+            .replace(/ies$/, 'y')
+            .replace(/([^s])s$/, '$1');
+    }
+
+    // Node entry point
+    function main(args) {
+        const fs = require('fs');
+        const path = require('path');
+        const file = args[0] || path.join(__dirname, '..', 'data', 'quests.json');
+        const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        dataset.quests.forEach(q => {
+            if (Array.isArray(q.objectives)) q.objectives = q.objectives.map(normalize);
+        });
+
+        process.stdout.write(JSON.stringify(dataset, null, 2) + '\n');
+    }
+
+    return { TYPES, parse, normalize, isStructured, getText, getCount, requiredItems, itemKey, main };
+});
@@ -0,0 +1,261 @@
+// Arc Raiders Quest Graph — Search queries
+// A small query language over quests:
+//   words             name, objectives and rewards; typo-tolerant
+//   field:value       name, trader, reward, loc, tag, group, obj, id, oneround:yes|no, is:<state>
+//   "two words"       a phrase, also as a field value: reward:"light shield"
+//   -term, NOT term   negation
+//   a OR b, a | b     either side; terms side by side must all match
+// Browser: QuestQuery.search(quests, text, options); pure, so it loads under Node too.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestQuery = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const list = value => Array.isArray(value) ? value : [];
+    const objectiveText = o => o && typeof o === 'object' ? String(o.text) : String(o);
+
+    // Each field lists the strings a quest offers it; `boolean` fields
+    // compare yes/no instead
+    const FIELDS = {
+        name: { values: q => [q.name] },
+        trader: { values: q => [q.trader] },
+        reward: { values: q => list(q.rewards).map(r => r && r.name) },
+        loc: { values: q => list(q.requiredLocations) },
+        tag: { values: q => list(q.tags) },
+        group: { values: q => [q.group] },
+        obj: { values: q => list(q.objectives).map(objectiveText) },
+        id: { values: q => [q.id], exact: true },
+        oneround: { boolean: q => q.inOneRound === true },
+        is: { values: (q, options) => [options.stateOf && options.stateOf(q.id), q.unlockMilestone && 'milestone'], exact: true }
+    };
+
+    const ALIASES = {
+        location: 'loc', locations: 'loc', map: 'loc',
+        rewards: 'reward', tags: 'tag', region: 'group',
+        objective: 'obj', objectives: 'obj', inoneround: 'oneround', round: 'oneround'
+    };
+
+    // Fields searched by a bare term, and how much a hit in each counts
+    const DEFAULT_FIELDS = { name: 3, reward: 2, obj: 1 };
+
+    const YES = ['yes', 'y', 'true', '1', 'on'];
+    const NO = ['no', 'n', 'false', '0', 'off'];
+
+    // ═══════════════════════════════════════════════════════════════
+    // PARSING
+    // ═══════════════════════════════════════════════════════════════
+
+    function tokenize(text) {
+        const tokens = [];
+        const pattern = /(-|!)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let m;
+        while ((m = pattern.exec(text)) !== null) {
+            tokens.push({ negated: !!m[1], field: m[2], value: m[3] !== undefined ? m[3] : m[4], phrase: m[3] !== undefined });
+        }
+        return tokens;
+    }
+
+    /**
+     * Parses a query into OR'd clauses of AND'd terms.
+     * @param {string} text
+     * @returns {{ clauses: Array<Array<{ field: ?string, value: string, negated: boolean, phrase: boolean }>>,
+     *            unknown: string[] }} unknown lists prefixes that aren't fields;
+     *          those terms are searched as plain text
+     */
+    function parse(text) {
+        const clauses = [[]];
+        const unknown = [];
+        let negateNext = false;
+
+        tokenize(String(text || '')).forEach(token => {
+            const word = !token.field && !token.phrase && !token.negated ? token.value : null;
+            if (word === 'OR' || word === '|') {
+                if (clauses[clauses.length - 1].length > 0) clauses.push([]);
+                return;
+            }
+            if (word === 'NOT') {
+                negateNext = true;
+                return;
+            }
+
+            let field = token.field ? token.field.toLowerCase() : null;
+            let value = token.value;
+            if (field) field = ALIASES[field] || field;
+            if (field && !FIELDS[field]) {
+                unknown.push(token.field);
+                value = `${token.field}:${value}`;
+                field = null;
+            }
+
+            value = value.trim();
+            if (!value) return;
+            clauses[clauses.length - 1].push({ field, value, negated: token.negated !== negateNext, phrase: token.phrase });
+            negateNext = false;
+        });
+
+        return { clauses: clauses.filter(c => c.length > 0), unknown };
+    }
+
+    function isEmpty(query) {
+        return query.clauses.length === 0;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MATCHING
+    // ═══════════════════════════════════════════════════════════════
+
+    // Typos allowed for a word of this length
+    function tolerance(length) {
+        if (length >= 8) return 2;
+        if (length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Matches a term against one string.
+     * @returns {{ score: number, ranges: Array<[number, number]> } | null} ranges
+     *          are [start, end) offsets of the matched text
+     */
+    function matchText(value, text, exact = false) {
+        const t = String(text).toLowerCase();
+        const v = value.toLowerCase();
+        const wordStart = i => i === 0 || /[^a-z0-9]/.test(t[i - 1]);
+
+        if (exact) return t === v || t.startsWith(v) ? { score: t === v ? 4 : 2, ranges: [[0, v.length]] } : null;
+
+        const at = t.indexOf(v);
+        if (at >= 0) {
+            return {
+                score: 3 + (wordStart(at) ? 1 : 0) + (t === v ? 1 : 0),
+                ranges: [[at, at + v.length]]
+            };
+        }
+
+        // Every word of the term close to a word of the text, in any order
+        const words = [];
+        const wordPattern = /[a-z0-9]+/g;
+        let m;
+        while ((m = wordPattern.exec(t)) !== null) words.push({ start: m.index, text: m[0] });
+
+        const ranges = [];
+        let penalty = 0;
+        const terms = v.split(/[^a-z0-9]+/).filter(Boolean);
+        for (const term of terms) {
+            const allowed = tolerance(term.length);
+            let best = null;
+            words.forEach(w => {
+                // A shorter query word may be the start of a longer text word
+                const d = Math.min(editDistance(term, w.text), editDistance(term, w.text.slice(0, term.length)));
+                if (d <= allowed && (!best || d < best.d)) best = { d, word: w };
+            });
+            if (!best) return null;
+            penalty += best.d;
+            ranges.push([best.word.start, best.word.start + best.word.text.length]);
+        }
+
+        return terms.length > 0 ? { score: 2 - penalty * 0.5, ranges: ranges.sort((a, b) => a[0] - b[0]) } : null;
+    }
+
+    // Edit distance where swapping two neighbouring letters is one typo
+    function editDistance(a, b) {
+        let before = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(
+                    prev[j] + 1,
+                    row[j - 1] + 1,
+                    prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], before[j - 2] + 1);
+                }
+            }
+            before = prev;
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    // Best hit of a positive term, or null; hits are { field, text, ranges }
+    function matchTerm(quest, term, options) {
+        const fields = term.field ? { [term.field]: 1 } : DEFAULT_FIELDS;
+        let best = null;
+
+        Object.entries(fields).forEach(([field, weight]) => {
+            const spec = FIELDS[field];
+
+            if (spec.boolean) {
+                const wanted = YES.includes(term.value.toLowerCase()) ? true : NO.includes(term.value.toLowerCase()) ? false : null;
+                if (wanted !== null && spec.boolean(quest) === wanted && !best) best = { score: 1, hit: null };
+                return;
+            }
+
+            spec.values(quest, options).forEach(text => {
+                if (typeof text !== 'string' || !text) return;
+                const m = matchText(term.value, text, spec.exact);
+                if (m && (!best || m.score * weight > best.score)) {
+                    best = { score: m.score * weight, hit: { field, text, ranges: m.ranges } };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Matches one quest against a parsed query.
+     * @param {object} quest
+     * @param {object} query from parse()
+     * @param {{ stateOf?: function(string): string }} [options] stateOf answers is:<state>
+     * @returns {{ score: number, hits: object[] } | null} hits from every
+     *          clause that matched, for highlighting
+     */
+    function matchQuest(quest, query, options = {}) {
+        let result = null;
+
+        query.clauses.forEach(clause => {
+            let score = 0;
+            const hits = [];
+
+            for (const term of clause) {
+                const m = matchTerm(quest, term, options);
+                if (term.negated ? m : !m) return;
+                if (term.negated) continue;
+
+                score += m.score;
+                if (m.hit) hits.push(m.hit);
+            }
+
+            if (!result) result = { score, hits };
+            else {
+                result.score = Math.max(result.score, score);
+                result.hits = result.hits.concat(hits);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Ranked matches, best first; equal scores keep dataset order.
+     * @param {object[]} quests
+     * @param {string|object} query text or a parse() result
+     * @returns {Array<{ quest: object, score: number, hits: object[] }>}
+     */
+    function search(quests, query, options = {}) {
+        const parsed = typeof query === 'string' ? parse(query) : query;
+        if (isEmpty(parsed)) return [];
+
+        return quests
+            .map((quest, order) => ({ quest, order, match: matchQuest(quest, parsed, options) }))
+            .filter(r => r.match)
+            .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+            .map(r => ({ quest: r.quest, score: r.match.score, hits: r.match.hits }));
+    }
+
+    return { FIELDS, parse, isEmpty, matchText, editDistance, matchQuest, search };
+});
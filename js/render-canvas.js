@@ -0,0 +1,456 @@
+// Arc Raiders Quest Graph — Canvas renderer
+// Paints the whole graph onto one canvas, at most once per frame, for
+// datasets too big for an element per node. Marks live in maps instead of
+// class lists and the paint follows css/styles.css by hand. Only nodes and
+// links near the view are painted, found through a grid of layout cells,
+// and labels are dropped below labelMinZoom, where they would be
+// unreadable anyway.
+// Browser: QuestCanvas.createRenderer(canvas, host) returns a renderer with
+// the interface js/app.js documents under GRAPH RENDERING; `host` supplies
+// the app state it paints from (see createRenderer).
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestCanvas = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const GRID_CELL = 200;
+    const NO_MARKS = new Set();
+    const BADGE_SYMBOLS = { added: '+', renamed: 'R', changed: '~' };
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {{
+     *   quest: function(string): object,
+     *   position: function(string): ?{x: number, y: number},
+     *   linkPoints: function(string): Array<{x: number, y: number}>,
+     *   transform: function(): {x: number, y: number, k: number},
+     *   viewRect: function(): {x: number, y: number, width: number, height: number},
+     *   orientation: function(): string,
+     *   radius: function(object): number,
+     *   color: function(object): string,
+     *   label: function(object): string,
+     *   labelMinZoom: number,
+     *   badge: function(string): ?{kind: string, affected: boolean},
+     *   pips: function(string): Array<{state: string, color: string}>,
+     *   announce: function(string): void,
+     *   dragging: function(): boolean,
+     *   enter: function(string): void,
+     *   leave: function(): void,
+     *   select: function(string): void
+     * }} host pips(id) lists one squad pip per member, or none when hidden;
+     *        announce(id) reads a node out for screen readers
+     */
+    function createRenderer(canvas, host) {
+        const renderer = {
+            nodeMarks: new Map(),
+            linkMarks: new Map(),
+            grid: new Map(),
+            quests: [],
+            links: new Map(),
+            showPips: false,
+            frame: null,
+            theme: null,
+
+            element: canvas,
+
+            attach() {
+                canvas.hidden = false;
+                this.theme = readTheme();
+            },
+
+            detach() {
+                canvas.hidden = true;
+                this.quests = [];
+                this.links = new Map();
+                this.nodeMarks.clear();
+                this.linkMarks.clear();
+                this.grid.clear();
+            },
+
+            draw(quests, links) {
+                this.quests = quests.filter(q => host.position(q.id));
+                this.links = links;
+                this.nodeMarks.clear();
+                this.linkMarks.clear();
+                this.position();
+            },
+
+            position() {
+                this.grid.clear();
+                this.quests.forEach(q => {
+                    const pos = host.position(q.id);
+                    const cell = `${Math.floor(pos.x / GRID_CELL)},${Math.floor(pos.y / GRID_CELL)}`;
+                    if (!this.grid.has(cell)) this.grid.set(cell, []);
+                    this.grid.get(cell).push(q.id);
+                });
+                this.request();
+            },
+
+            update() {
+                this.request();
+            },
+
+            markNode(id, cls, on) {
+                this.mark(this.nodeMarks, id, cls, on);
+            },
+
+            markLink(key, cls, on) {
+                this.mark(this.linkMarks, key, cls, on);
+            },
+
+            mark(marks, key, cls, on) {
+                const set = marks.get(key);
+                if (!!set && set.has(cls) === on) return;
+                if (!set && !on) return;
+
+                if (on) {
+                    if (set) set.add(cls);
+                    else marks.set(key, new Set([cls]));
+                } else {
+                    set.delete(cls);
+                }
+                this.request();
+            },
+
+            clearMarks(classes) {
+                [this.nodeMarks, this.linkMarks].forEach(marks => {
+                    marks.forEach(set => classes.forEach(cls => set.delete(cls)));
+                });
+                this.request();
+            },
+
+            nodeClasses(id) {
+                return [...(this.nodeMarks.get(id) || NO_MARKS)];
+            },
+
+            linkClasses(key) {
+                return [...(this.linkMarks.get(key) || NO_MARKS)];
+            },
+
+            recolor() {
+                this.request();
+            },
+
+            badges() {
+                this.request();
+            },
+
+            pips(on) {
+                this.showPips = on;
+                this.request();
+            },
+
+            // There are no node elements to label; focusNode reads the node out instead
+            label() {},
+
+            focusNode(id) {
+                if (document.activeElement !== canvas) canvas.focus({ preventScroll: true });
+                host.announce(id);
+            },
+
+            setTabStop() {},
+
+            // The node under a pointer event, within a few pixels of its circle
+            nodeAt(e) {
+                if (e.target !== canvas || e.clientX === undefined) return null;
+                const transform = host.transform();
+                const rect = canvas.getBoundingClientRect();
+                const x = (e.clientX - rect.left - transform.x) / transform.k;
+                const y = (e.clientY - rect.top - transform.y) / transform.k;
+                const slack = 4 / transform.k;
+
+                let best = null;
+                this.idsIn({ x: x - GRID_CELL / 2, y: y - GRID_CELL / 2, width: GRID_CELL, height: GRID_CELL }).forEach(id => {
+                    const pos = host.position(id);
+                    const distance = Math.hypot(pos.x - x, pos.y - y);
+                    const radius = host.radius(host.quest(id)) + slack;
+                    if (distance <= radius && (!best || distance < best.distance)) best = { id, distance };
+                });
+                return best ? best.id : null;
+            },
+
+            idsIn(box) {
+                const ids = [];
+                const x0 = Math.floor(box.x / GRID_CELL);
+                const y0 = Math.floor(box.y / GRID_CELL);
+                const x1 = Math.floor((box.x + box.width) / GRID_CELL);
+                const y1 = Math.floor((box.y + box.height) / GRID_CELL);
+
+                // A view wider than the graph walks the grid instead of every empty cell
+                if ((x1 - x0 + 1) * (y1 - y0 + 1) > this.grid.size) {
+                    this.grid.forEach((cellIds, cell) => {
+                        const [cx, cy] = cell.split(',').map(Number);
+                        if (cx >= x0 && cx <= x1 && cy >= y0 && cy <= y1) ids.push(...cellIds);
+                    });
+                    return ids;
+                }
+
+                for (let cx = x0; cx <= x1; cx++) {
+                    for (let cy = y0; cy <= y1; cy++) {
+                        const cellIds = this.grid.get(`${cx},${cy}`);
+                        if (cellIds) ids.push(...cellIds);
+                    }
+                }
+                return ids;
+            },
+
+            request() {
+                if (this.frame || canvas.hidden) return;
+                this.frame = requestAnimationFrame(() => {
+                    this.frame = null;
+                    this.paint();
+                });
+            },
+
+            paint() {
+                const transform = host.transform();
+                const rect = canvas.getBoundingClientRect();
+                const ratio = window.devicePixelRatio || 1;
+                const width = Math.round(rect.width * ratio);
+                const height = Math.round(rect.height * ratio);
+                if (canvas.width !== width || canvas.height !== height) {
+                    canvas.width = width;
+                    canvas.height = height;
+                }
+
+                const ctx = canvas.getContext('2d');
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.clearRect(0, 0, width, height);
+                ctx.setTransform(ratio * transform.k, 0, 0, ratio * transform.k, ratio * transform.x, ratio * transform.y);
+
+                // Labels hang up to 60 below and either side of a node
+                const view = host.viewRect();
+                const margin = 60;
+                const box = { x: view.x - margin, y: view.y - margin, width: view.width + margin * 2, height: view.height + margin * 2 };
+
+                this.paintLinks(ctx, box);
+                this.idsIn(box).forEach(id => this.paintNode(ctx, id, ratio, transform));
+                ctx.globalAlpha = 1;
+            },
+
+            // Links are batched by look so each batch is one stroke
+            paintLinks(ctx, box) {
+                const batches = new Map();
+                this.links.forEach((link, key) => {
+                    const points = host.linkPoints(key);
+                    const xs = points.map(p => p.x);
+                    const ys = points.map(p => p.y);
+                    if (Math.max(...xs) < box.x || Math.min(...xs) > box.x + box.width ||
+                        Math.max(...ys) < box.y || Math.min(...ys) > box.y + box.height) return;
+
+                    const marks = this.linkMarks.get(key) || NO_MARKS;
+                    const look = `${marks.has('downstream') ? 'downstream' : marks.has('highlighted') ? 'highlighted' : 'link'}${marks.has('dimmed') ? ' dimmed' : ''}`;
+                    if (!batches.has(look)) batches.set(look, []);
+                    batches.get(look).push(points);
+                });
+
+                const strokes = {
+                    link: [this.theme.link, 1.5],
+                    highlighted: [this.theme.linkActive, 2],
+                    downstream: [this.theme.linkDownstream, 2]
+                };
+                const horizontal = host.orientation() === 'horizontal';
+                ['link', 'highlighted', 'downstream'].forEach(kind => {
+                    [`${kind} dimmed`, kind].forEach(look => {
+                        const batch = batches.get(look);
+                        if (!batch) return;
+
+                        ctx.beginPath();
+                        batch.forEach(points => traceCurvedPath(ctx, points, horizontal));
+                        ctx.globalAlpha = look.endsWith('dimmed') ? 0.15 : 1;
+                        ctx.strokeStyle = strokes[kind][0];
+                        ctx.lineWidth = strokes[kind][1];
+                        ctx.stroke();
+                    });
+                });
+            },
+
+            // Follows the .node rules in css/styles.css
+            paintNode(ctx, id, ratio, transform) {
+                const quest = host.quest(id);
+                const pos = host.position(id);
+                const marks = this.nodeMarks.get(id) || NO_MARKS;
+                const theme = this.theme;
+                const color = host.color(quest);
+                const radius = host.radius(quest);
+
+                ctx.globalAlpha = marks.has('dimmed') ? 0.15 : 1;
+
+                // Too small to tell apart: a plain square is all that shows
+                if (radius * transform.k < 2) {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(pos.x - radius, pos.y - radius, radius * 2, radius * 2);
+                    return;
+                }
+
+                let stroke = marks.has('available') ? theme.textPrimary : color;
+                let lineWidth = 2;
+                let dash = [];
+                if (marks.has('selected')) {
+                    stroke = theme.textPrimary;
+                    lineWidth = 3;
+                }
+                if (marks.has('downstream') && !marks.has('selected') && !marks.has('match')) stroke = theme.orange;
+                if (marks.has('match') && !marks.has('selected')) {
+                    stroke = theme.warning;
+                    lineWidth = 3;
+                }
+                if (marks.has('diff-a') || marks.has('diff-b')) {
+                    stroke = marks.has('diff-a') ? theme.primary : theme.warning;
+                    lineWidth = 4;
+                    dash = [4, 3];
+                }
+                if (marks.has('cursor') && document.activeElement === canvas) {
+                    stroke = theme.primary;
+                    lineWidth = 4;
+                }
+
+                ctx.save();
+                if (marks.has('highlighted') || marks.has('downstream')) {
+                    ctx.shadowColor = marks.has('downstream') ? theme.orange : color;
+                    ctx.shadowBlur = 6 * transform.k * ratio;
+                }
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                ctx.fillStyle = marks.has('locked') ? theme.canvas : color;
+                ctx.globalAlpha *= marks.has('completed') ? 0.55 : 1;
+                ctx.fill();
+                ctx.globalAlpha = marks.has('dimmed') ? 0.15 : 1;
+                ctx.setLineDash(dash);
+                ctx.strokeStyle = stroke;
+                ctx.lineWidth = lineWidth;
+                ctx.stroke();
+                ctx.restore();
+
+                if (marks.has('completed')) {
+                    ctx.beginPath();
+                    ctx.moveTo(pos.x - 4, pos.y);
+                    ctx.lineTo(pos.x - 1, pos.y + 3);
+                    ctx.lineTo(pos.x + 4, pos.y - 3);
+                    ctx.strokeStyle = theme.canvas;
+                    ctx.lineWidth = 2;
+                    ctx.lineCap = 'round';
+                    ctx.lineJoin = 'round';
+                    ctx.stroke();
+                }
+
+                const badge = host.badge(id);
+                if (badge) {
+                    const fills = { added: theme.success, renamed: theme.primary, changed: theme.warning };
+                    ctx.beginPath();
+                    ctx.arc(pos.x + 11, pos.y - 11, 6, 0, Math.PI * 2);
+                    ctx.fillStyle = fills[badge.kind];
+                    ctx.fill();
+                    ctx.strokeStyle = badge.affected ? theme.danger : theme.canvas;
+                    ctx.lineWidth = 2;
+                    ctx.stroke();
+                    ctx.fillStyle = theme.canvas;
+                    ctx.font = `700 9px ${theme.font}`;
+                    ctx.textAlign = 'center';
+                    ctx.fillText(BADGE_SYMBOLS[badge.kind], pos.x + 11, pos.y - 8);
+                }
+
+                if (this.showPips) {
+                    const pips = host.pips(id);
+                    pips.forEach((pip, i) => {
+                        ctx.beginPath();
+                        ctx.arc(pos.x + (i - (pips.length - 1) / 2) * 8, pos.y - 17, 3, 0, Math.PI * 2);
+                        ctx.fillStyle = pip.state === 'completed' ? pip.color : theme.canvas;
+                        ctx.fill();
+                        ctx.strokeStyle = pip.state === 'locked' ? theme.textMuted : pip.color;
+                        ctx.lineWidth = 1.5;
+                        ctx.stroke();
+                    });
+                }
+
+                if (transform.k < host.labelMinZoom) return;
+                ctx.fillStyle = marks.has('completed') ? theme.textMuted : marks.has('locked') ? theme.textSecondary : theme.textPrimary;
+                ctx.font = `500 11px ${theme.font}`;
+                ctx.textAlign = 'center';
+                ctx.fillText(host.label(quest), pos.x, pos.y + (quest.unlockMilestone ? 24 : 20));
+            }
+        };
+
+        bindPointer(canvas, renderer, host);
+        return renderer;
+    }
+
+    // Pointer handling the SVG gets from its elements: hover, click and the
+    // cursor ring, which only shows while the canvas has focus
+    function bindPointer(canvas, renderer, host) {
+        let hover = null;
+        let press = null;
+
+        canvas.addEventListener('mousemove', e => {
+            if (host.dragging()) return;
+            const id = renderer.nodeAt(e);
+            if (id === hover) return;
+
+            if (hover) host.leave();
+            hover = id;
+            canvas.classList.toggle('over-node', !!id);
+            if (id) host.enter(id);
+        });
+
+        canvas.addEventListener('mouseleave', () => {
+            if (hover) host.leave();
+            hover = null;
+            canvas.classList.remove('over-node');
+        });
+
+        canvas.addEventListener('mousedown', e => press = { x: e.clientX, y: e.clientY });
+        canvas.addEventListener('click', e => {
+            // The end of a drag isn't a click
+            if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > 4) return;
+            const id = renderer.nodeAt(e);
+            if (id) host.select(id);
+        });
+
+        canvas.addEventListener('focus', () => renderer.request());
+        canvas.addEventListener('blur', () => renderer.request());
+    }
+
+    // css/styles.css theme variables, for painting
+    function readTheme() {
+        const style = getComputedStyle(document.documentElement);
+        const v = name => style.getPropertyValue(name).trim();
+        return {
+            canvas: v('--bg-canvas'),
+            textPrimary: v('--text-primary'),
+            textSecondary: v('--text-secondary'),
+            textMuted: v('--text-muted'),
+            primary: v('--accent-primary'),
+            success: v('--accent-success'),
+            warning: v('--accent-warning'),
+            danger: v('--accent-danger'),
+            orange: v('--accent-orange'),
+            link: v('--link-color'),
+            linkActive: v('--link-active'),
+            linkDownstream: v('--link-downstream'),
+            font: getComputedStyle(document.body).fontFamily || 'sans-serif'
+        };
+    }
+
+    // The app's SVG link curve (createCurvedPath), onto a canvas path:
+    // one S-curve per segment through the layout waypoints
+    function traceCurvedPath(ctx, points, horizontal) {
+        ctx.moveTo(points[0].x, points[0].y);
+
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+
+            if (horizontal) {
+                const midX = (from.x + to.x) / 2;
+                ctx.bezierCurveTo(midX, from.y, midX, to.y, to.x, to.y);
+            } else {
+                const midY = (from.y + to.y) / 2;
+                ctx.bezierCurveTo(from.x, midY, to.x, midY, to.x, to.y);
+            }
+        }
+    }
+
+    return { GRID_CELL, createRenderer };
+});
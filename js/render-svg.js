@@ -0,0 +1,163 @@
+// Arc Raiders Quest Graph — SVG renderer
+// Draws the graph as an element per node and link inside #graphSvg, so
+// css/styles.css styles the marks as plain classes and every node can
+// take keyboard focus. The app builds the elements; the same builders
+// serve the graph export.
+// Browser: QuestSvg.createRenderer(svg, host) returns a renderer with the
+// interface js/app.js documents under GRAPH RENDERING; `host` supplies
+// the elements and app state it draws from (see createRenderer).
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestSvg = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    /**
+     * @param {SVGSVGElement} svg holds #graphGroup with #links and #nodes
+     * @param {{
+     *   createNode: function(object): SVGGElement,
+     *   createLink: function(string): SVGPathElement,
+     *   linkPath: function(string): string,
+     *   position: function(string): ?{x: number, y: number},
+     *   transform: function(): {x: number, y: number, k: number},
+     *   color: function(object): string,
+     *   quest: function(string): object,
+     *   badge: function(string): ?Element,
+     *   pips: function(string): Element,
+     *   label: function(string): string,
+     *   enter: function(string): void,
+     *   leave: function(): void,
+     *   select: function(string): void
+     * }} host badge(id) builds the change badge for a node, or null
+     */
+    function createRenderer(svg, host) {
+        const group = svg.querySelector('#graphGroup');
+        const linksG = svg.querySelector('#links');
+        const nodesG = svg.querySelector('#nodes');
+
+        return {
+            nodes: new Map(),
+            links: new Map(),
+
+            element: svg,
+
+            attach() {
+                svg.removeAttribute('hidden');
+            },
+
+            detach() {
+                svg.setAttribute('hidden', '');
+                linksG.innerHTML = '';
+                nodesG.innerHTML = '';
+                this.nodes.clear();
+                this.links.clear();
+            },
+
+            draw(quests, links) {
+                linksG.innerHTML = '';
+                nodesG.innerHTML = '';
+                this.nodes.clear();
+                this.links.clear();
+
+                links.forEach((_, key) => {
+                    const path = host.createLink(key);
+                    this.links.set(key, path);
+                    linksG.appendChild(path);
+                });
+
+                quests.forEach(quest => {
+                    if (!host.position(quest.id)) return;
+
+                    const g = host.createNode(quest);
+                    g.addEventListener('click', () => host.select(quest.id));
+                    g.addEventListener('mouseenter', () => host.enter(quest.id));
+                    g.addEventListener('mouseleave', () => host.leave());
+
+                    this.nodes.set(quest.id, g);
+                    nodesG.appendChild(g);
+                });
+            },
+
+            position() {
+                this.nodes.forEach((g, id) => {
+                    const pos = host.position(id);
+                    g.setAttribute('transform', `translate(${pos.x}, ${pos.y})`);
+                });
+                this.links.forEach((path, key) => path.setAttribute('d', host.linkPath(key)));
+            },
+
+            update() {
+                const transform = host.transform();
+                group.setAttribute('transform', `translate(${transform.x}, ${transform.y}) scale(${transform.k})`);
+            },
+
+            markNode(id, cls, on) {
+                const g = this.nodes.get(id);
+                if (g) g.classList.toggle(cls, on);
+            },
+
+            markLink(key, cls, on) {
+                const path = this.links.get(key);
+                if (path) path.classList.toggle(cls, on);
+            },
+
+            clearMarks(classes) {
+                this.nodes.forEach(g => g.classList.remove(...classes));
+                this.links.forEach(path => path.classList.remove(...classes));
+            },
+
+            nodeClasses(id) {
+                return [...this.nodes.get(id).classList].filter(cls => cls !== 'node');
+            },
+
+            linkClasses(key) {
+                return [...this.links.get(key).classList].filter(cls => cls !== 'link');
+            },
+
+            recolor() {
+                this.nodes.forEach((g, id) => {
+                    const color = host.color(host.quest(id));
+                    const circle = g.querySelector('circle');
+                    circle.setAttribute('fill', color);
+                    circle.setAttribute('stroke', color);
+                });
+            },
+
+            badges() {
+                nodesG.querySelectorAll('.change-badge').forEach(el => el.remove());
+                this.nodes.forEach((g, id) => {
+                    const badge = host.badge(id);
+                    if (badge) g.appendChild(badge);
+                });
+            },
+
+            pips(on) {
+                nodesG.querySelectorAll('.squad-pips').forEach(el => el.remove());
+                if (on) this.nodes.forEach((g, id) => g.appendChild(host.pips(id)));
+            },
+
+            label(id) {
+                const g = this.nodes.get(id);
+                if (g) g.setAttribute('aria-label', host.label(id));
+            },
+
+            focusNode(id) {
+                const g = this.nodes.get(id);
+                if (g && document.activeElement !== g) g.focus({ preventScroll: true });
+            },
+
+            // Exactly one node is tabbable
+            setTabStop(id) {
+                this.nodes.forEach((g, nid) => g.setAttribute('tabindex', nid === id ? '0' : '-1'));
+            },
+
+            nodeAt(e) {
+                const g = e.target.closest && e.target.closest('.node');
+                return g ? g.dataset.id : null;
+            }
+        };
+    }
+
+    return { createRenderer };
+});
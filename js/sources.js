@@ -0,0 +1,152 @@
+// Arc Raiders Quest Graph — Dataset merging
+// Combines a base quests.json with overlays, in order. Each overlay entry is
+// applied by id with an explicit operation, taken from the entry's "$op", the
+// overlay's meta.merge, or "override":
+//   override  replace the listed fields (or add the quest if the id is new)
+//   append    concatenate array fields, skipping values already present
+//   delete    remove the quest
+// The "traders" and "groups" sections merge by name; a later source's entry
+// replaces an earlier one's.
+// Browser: QuestSources.merge(sources), with no DOM use, so Node can require it as well.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestSources = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const OPERATIONS = ['override', 'append', 'delete'];
+    const SECTIONS = ['traders', 'groups'];
+
+    function same(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Merges datasets in order; the first is the base.
+     * @param {Array<{ name: string, data: object }>} sources
+     * @returns {{
+     *   dataset: object,
+     *   summary: Array<{ name, quests, added, overridden, appended, deleted }>,
+     *   origins: Map<string, { source: string, fields: object }>,
+     *   findings: object[]
+     * }} origins records, per quest, the source that defined it and, per
+     *    field, the overlays that changed it. Findings use the validator's
+     *    shape { severity, code, questId, field, message }.
+     */
+    function merge(sources) {
+        const findings = [];
+        const report = (severity, code, questId, field, message) => {
+            findings.push({ severity, code, questId, field, message });
+        };
+
+        const quests = new Map();
+        const origins = new Map();
+        let base = null;
+
+        const summary = sources.map((source, i) => {
+            const stats = { name: source.name, quests: 0, added: 0, overridden: 0, appended: 0, deleted: 0 };
+            const dataset = source.data;
+
+            if (!dataset || !Array.isArray(dataset.quests)) {
+                report('error', 'wrong-type', null, 'quests', `${source.name} has no "quests" array`);
+                return stats;
+            }
+            if (!base) base = dataset;
+
+            const defaultOp = dataset.meta && dataset.meta.merge;
+            const seen = new Set();
+            stats.quests = dataset.quests.length;
+
+            dataset.quests.forEach((entry, j) => {
+                if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string') {
+                    report('error', 'wrong-type', null, `quests[${j}]`, `${source.name}: entry ${j} has no id`);
+                    return;
+                }
+
+                const id = entry.id;
+                if (seen.has(id)) {
+                    report('error', 'duplicate-id', id, 'id', `Duplicate id "${id}"${i > 0 ? ` in ${source.name}` : ''}`);
+                    return;
+                }
+                seen.add(id);
+
+                const op = i === 0 ? 'override' : entry.$op || defaultOp || 'override';
+                // A copy, so editing the merged quests leaves the sources as loaded
+                const fields = structuredClone(entry);
+                delete fields.$op;
+                delete fields.id;
+
+                if (!OPERATIONS.includes(op)) {
+                    report('error', 'unknown-operation', id, '$op',
+                        `${source.name}: unknown merge operation "${op}" (use ${OPERATIONS.join(', ')})`);
+                    return;
+                }
+
+                const existing = quests.get(id);
+
+                if (op === 'delete') {
+                    if (!existing) {
+                        report('warning', 'merge-missing', id, null, `${source.name} deletes "${id}", which no earlier source defines`);
+                        return;
+                    }
+                    const touched = Object.entries(origins.get(id).fields)
+                        .filter(([, names]) => names.some(n => n !== source.name));
+                    if (touched.length > 0) {
+                        report('warning', 'merge-conflict', id, null,
+                            `${source.name} deletes "${id}", which ${touched[0][1].join(', ')} also changed`);
+                    }
+                    quests.delete(id);
+                    origins.delete(id);
+                    stats.deleted++;
+                    return;
+                }
+
+                if (!existing) {
+                    if (i > 0 && op === 'append') {
+                        report('warning', 'merge-missing', id, null, `${source.name} appends to "${id}", which no earlier source defines; added it`);
+                    }
+                    quests.set(id, Object.assign({ id }, fields));
+                    origins.set(id, { source: source.name, fields: {} });
+                    if (i > 0) stats.added++;
+                    return;
+                }
+
+                const origin = origins.get(id);
+                Object.entries(fields).forEach(([field, value]) => {
+                    const changedBy = origin.fields[field] || [];
+
+                    if (op === 'append' && Array.isArray(existing[field]) && Array.isArray(value)) {
+                        existing[field] = existing[field].concat(value.filter(v => !existing[field].some(e => same(e, v))));
+                        origin.fields[field] = changedBy.concat(source.name);
+                        return;
+                    }
+
+                    if (op === 'append' && existing[field] !== undefined) {
+                        report('warning', 'merge-conflict', id, field,
+                            `${source.name} appends to "${field}", which is not a list; replaced it instead`);
+                    }
+                    const other = changedBy.find(n => n !== source.name);
+                    if (other && !same(existing[field], value)) {
+                        report('warning', 'merge-conflict', id, field,
+                            `${source.name} overrides "${field}" already changed by ${other}`);
+                    }
+                    existing[field] = value;
+                    origin.fields[field] = [source.name];
+                });
+                stats[op === 'append' ? 'appended' : 'overridden']++;
+            });
+
+            return stats;
+        });
+
+        const dataset = Object.assign({}, base || {}, { quests: [...quests.values()] });
+        SECTIONS.forEach(key => {
+            const entries = sources.map(s => s.data && s.data[key]).filter(e => e && typeof e === 'object' && !Array.isArray(e));
+            if (entries.length > 0) dataset[key] = Object.assign({}, ...entries);
+        });
+        return { dataset, summary, origins, findings };
+    }
+
+    return { OPERATIONS, SECTIONS, merge };
+});
@@ -0,0 +1,118 @@
+// Arc Raiders Quest Graph — Stress datasets
+// Generates a large, deterministic quests.json for checking that layout,
+// rendering and filtering keep up: trader chains spread over several
+// regions, each opened by a milestone, with the odd cross-region prerequisite.
+// Browser: QuestStress.generate({ quests, seed }), also reachable as
+// ?stress=<count>.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.QuestStress = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const DEFAULTS = {
+        quests: 3000,
+        seed: 1,
+        groups: 8,
+        crossLinks: 0.15,           // share of quests with a second prerequisite anywhere earlier
+        window: 30                  // how far back in its region a quest looks for a prerequisite
+    };
+
+    const TRADERS = ['Shani', 'Celeste', 'Apollo', 'Tian Wen', 'Lance'];
+    const LOCATIONS = ['Dam Battlegrounds', 'Buried City', 'Spaceport', 'The Blue Gate', 'Stella Montis'];
+    const ADJECTIVES = ['Silent', 'Broken', 'Rusted', 'Hollow', 'Distant', 'Burning', 'Frozen', 'Hidden', 'Last', 'Lost'];
+    const NOUNS = ['Signal', 'Harvest', 'Relay', 'Convoy', 'Beacon', 'Cache', 'Outpost', 'Archive', 'Engine', 'Tide'];
+    const TARGETS = ['ARC Ticks', 'Wasps', 'Hornets', 'Rocketeers', 'Leapers'];
+    const ITEMS = ['Wires', 'Batteries', 'ARC Alloy', 'Fabric', 'Rubber Parts', 'Chemicals'];
+    const REWARDS = ['Bandage', 'Shield Recharger', 'Light Ammo', 'Medium Ammo', 'Adrenaline Shot', 'Raider Hatch Key'];
+
+    // Small seeded generator (mulberry32) so a seed always gives the same dataset
+    function random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * @param {{ quests?: number, seed?: number, groups?: number, crossLinks?: number, window?: number }} [options]
+     * @returns {{ meta: object, groups: object, quests: object[] }} a dataset in the quests.json format
+     */
+    function generate(options = {}) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const rand = random(opts.seed);
+        const pick = list => list[Math.floor(rand() * list.length)];
+        const count = n => 1 + Math.floor(rand() * n);
+
+        const groups = Array.from({ length: Math.max(1, opts.groups) }, (_, i) => `Region ${i + 1}`);
+        const byGroup = new Map(groups.map(g => [g, []]));
+        const quests = [];
+
+        groups.forEach((group, i) => {
+            const id = `region_${i + 1}_unlocked`;
+            quests.push({
+                id,
+                name: `${group} Unlocked`,
+                group,
+                unlockMilestone: true,
+                // Each region after the first opens from somewhere in the one before
+                prerequisites: i > 0 ? [pick(byGroup.get(groups[i - 1]))] : [],
+                trader: '',
+                requiredLocations: [],
+                inOneRound: false,
+                objectives: [],
+                rewards: [],
+                tags: ['milestone']
+            });
+            byGroup.get(group).push(id);
+
+            // Fill the region before the next milestone picks from it
+            const size = Math.floor((opts.quests - groups.length) / groups.length) +
+                (i < (opts.quests - groups.length) % groups.length ? 1 : 0);
+            for (let j = 0; j < size; j++) quests.push(createQuest(group, quests.length, byGroup, quests, opts, rand, pick, count));
+        });
+
+        // Traders are left without entries, so they get generated colours
+        return {
+            meta: { version: 1, generated: 'stress', stress: { quests: quests.length, seed: opts.seed } },
+            groups: Object.fromEntries(groups.map((group, i) => [group, { order: i + 1, requires: [`region_${i + 1}_unlocked`] }])),
+            quests
+        };
+    }
+
+    function createQuest(group, index, byGroup, quests, opts, rand, pick, count) {
+        const local = byGroup.get(group);
+        const id = `stress_${index}`;
+        const prerequisites = [local[Math.max(0, local.length - 1 - Math.floor(rand() * opts.window))]];
+        if (rand() < opts.crossLinks) {
+            const other = quests[Math.floor(rand() * quests.length)].id;
+            if (!prerequisites.includes(other)) prerequisites.push(other);
+        }
+        local.push(id);
+
+        const trader = pick(TRADERS);
+        return {
+            id,
+            name: `${pick(ADJECTIVES)} ${pick(NOUNS)} ${index}`,
+            group,
+            unlockMilestone: false,
+            prerequisites,
+            trader,
+            requiredLocations: rand() < 0.7 ? [pick(LOCATIONS)] : [],
+            inOneRound: rand() < 0.1,
+            objectives: [
+                `Destroy ${count(5)} ${pick(TARGETS)}`,
+                rand() < 0.5 ? `Deliver ${count(4)} ${pick(ITEMS)} to ${trader}` : `Visit the ${pick(NOUNS)} ${pick(['Tower', 'Station', 'Depot'])}`
+            ],
+            rewards: [{ name: pick(REWARDS), quantity: count(3) }],
+            tags: []
+        };
+    }
+
+    return { DEFAULTS, generate };
+});
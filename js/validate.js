@@ -0,0 +1,393 @@
+// Arc Raiders Quest Graph — Dataset validator
+// Checks quests.json against meta.schema and the graph rules the viewer relies on,
+// and the "traders" and "groups" sections.
+// Browser: QuestValidator.validate(data), after js/query.js. Node: `node js/validate.js [file] [--traders A,B]`.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./query'));
+        if (require.main === module) module.exports.main(process.argv.slice(2));
+    } else {
+        root.QuestValidator = factory(root.QuestQuery);
+    }
+})(typeof self !== 'undefined' ? self : this, function(QuestQuery) {
+    'use strict';
+
+    // Used when the dataset carries no meta.schema.quest
+    const FALLBACK_SCHEMA = {
+        id: 'string unique identifier (slug)',
+        name: 'display name',
+        group: 'high-level group or region milestone',
+        unlockMilestone: 'boolean',
+        prerequisites: 'array of quest ids',
+        trader: 'NPC quest giver name',
+        requiredLocations: 'array of location names',
+        inOneRound: 'boolean',
+        objectives: 'array of objective strings, or objects { text, type?, target?, count?, item? }',
+        rewards: 'array of reward objects { name, quantity }',
+        tags: 'array of optional categorization strings'
+    };
+
+    // Every field of a trader or group entry is optional
+    const SECTION_FIELDS = {
+        traders: ['color', 'icon', 'description', 'order'],
+        groups: ['color', 'icon', 'description', 'order', 'requires']
+    };
+
+    const COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCHEMA
+    // ═══════════════════════════════════════════════════════════════
+
+    // The schema is prose ("boolean - ...", "array of reward objects { name, quantity }"),
+    // so the expected type is read from how each description starts. Arrays
+    // hold strings, objects with the braced keys (a trailing ? marks a key
+    // optional), or either when the description says "strings, or objects".
+    function parseSchema(schema) {
+        const fields = {};
+        Object.entries(schema).forEach(([key, description]) => {
+            const text = String(description).trim();
+            const keys = text.match(/\{([^}]*)\}/);
+
+            if (/^array/i.test(text)) {
+                const items = [];
+                if (!keys || /strings?\b.*\bor\b/i.test(text)) items.push('string');
+                if (keys) items.push('object');
+
+                const required = keys
+                    ? keys[1].split(',').map(k => k.trim()).filter(k => k && !k.endsWith('?'))
+                    : [];
+                fields[key] = { type: 'array', items, keys: required };
+            } else if (/^boolean/i.test(text)) {
+                fields[key] = { type: 'boolean' };
+            } else {
+                fields[key] = { type: 'string' };
+            }
+        });
+        return fields;
+    }
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // VALIDATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Validates a dataset ({ meta, quests }).
+     * @param {object} dataset
+     * @param {{ traders?: string[] }} [options] quests whose trader is neither
+     *        listed here nor in dataset.traders are reported; the check is
+     *        skipped when there is neither
+     * @returns {{ errors: object[], warnings: object[] }} findings of shape
+     *          { severity, code, questId, field, message }
+     */
+    function validate(dataset, options = {}) {
+        const findings = [];
+        const report = (severity, code, questId, field, message) => {
+            findings.push({ severity, code, questId, field, message });
+        };
+
+        if (!dataset || !Array.isArray(dataset.quests)) {
+            report('error', 'wrong-type', null, 'quests', 'Dataset has no "quests" array');
+            return split(findings);
+        }
+
+        const schema = (dataset.meta && dataset.meta.schema && dataset.meta.schema.quest) || FALLBACK_SCHEMA;
+        const fields = parseSchema(schema);
+        const quests = dataset.quests.filter(q => q && typeof q === 'object');
+        const byId = new Map();
+
+        dataset.quests.forEach((q, i) => {
+            if (!q || typeof q !== 'object') {
+                report('error', 'wrong-type', null, `quests[${i}]`, `Entry ${i} is not an object`);
+            }
+        });
+
+        // Fields and types
+        quests.forEach((q, i) => {
+            const label = typeof q.id === 'string' ? q.id : `quests[${i}]`;
+
+            Object.entries(fields).forEach(([key, spec]) => {
+                if (!(key in q)) {
+                    report('error', 'missing-field', label, key, `Missing required field "${key}"`);
+                    return;
+                }
+
+                const actual = typeOf(q[key]);
+                if (actual !== spec.type) {
+                    report('error', 'wrong-type', label, key, `"${key}" should be ${spec.type}, got ${actual}`);
+                    return;
+                }
+
+                if (spec.type !== 'array') return;
+                q[key].forEach((item, j) => {
+                    const itemType = typeOf(item);
+                    if (!spec.items.includes(itemType)) {
+                        report('error', 'wrong-type', label, `${key}[${j}]`,
+                            `"${key}[${j}]" should be ${spec.items.join(' or ')}, got ${itemType}`);
+                    } else if (itemType === 'object') {
+                        spec.keys.forEach(k => {
+                            if (!(k in item)) {
+                                report('error', 'missing-field', label, `${key}[${j}].${k}`,
+                                    `"${key}[${j}]" is missing "${k}"`);
+                            }
+                        });
+                    }
+                });
+            });
+        });
+
+        // Ids
+        quests.forEach(q => {
+            if (typeof q.id !== 'string') return;
+            if (byId.has(q.id)) {
+                report('error', 'duplicate-id', q.id, 'id', `Duplicate id "${q.id}"`);
+            } else {
+                byId.set(q.id, q);
+            }
+        });
+
+        const prereqsOf = q => Array.isArray(q.prerequisites)
+            ? q.prerequisites.filter(p => typeof p === 'string')
+            : [];
+
+        byId.forEach(q => {
+            prereqsOf(q).forEach((p, j) => {
+                if (!byId.has(p)) {
+                    const hint = suggest(p, [...byId.keys()]);
+                    report('error', 'unknown-prerequisite', q.id, `prerequisites[${j}]`,
+                        `Unknown prerequisite "${p}"${hint ? ` (did you mean "${hint}"?)` : ''}`);
+                }
+            });
+        });
+
+        // Graph
+        const cycles = findCycles(byId, prereqsOf);
+        const onCycle = new Set();
+        cycles.forEach(cycle => {
+            cycle.forEach(id => onCycle.add(id));
+            report('error', 'cycle', cycle[0], 'prerequisites', `Prerequisite cycle: ${cycle.join(' → ')}`);
+        });
+
+        // Only the quests that cause the blockage are reported, with the
+        // number of quests stuck behind them, rather than the whole cascade
+        const reachable = findReachable(byId, prereqsOf);
+        byId.forEach(q => {
+            if (reachable.has(q.id)) return;
+            const broken = prereqsOf(q).some(p => !byId.has(p));
+            if (!broken && !onCycle.has(q.id)) return;
+
+            const blocked = countDependents(q.id, byId, prereqsOf);
+            report('warning', 'unreachable', q.id, 'prerequisites',
+                `Can never become available (${broken ? 'unknown prerequisite' : 'cycle'})` +
+                (blocked > 0 ? `, blocking ${blocked} more quest${blocked === 1 ? '' : 's'}` : ''));
+        });
+
+        // Traders and groups
+        Object.keys(SECTION_FIELDS).forEach(key => validateSection(dataset, key, byId, report));
+
+        const defined = typeOf(dataset.traders) === 'object' ? Object.keys(dataset.traders) : null;
+        if (options.traders || defined) {
+            const known = new Set((options.traders || []).concat(defined || []));
+            const seen = new Set();
+            byId.forEach(q => {
+                if (typeof q.trader !== 'string' || !q.trader || known.has(q.trader) || seen.has(q.trader)) return;
+                seen.add(q.trader);
+                report('warning', 'unknown-trader', q.id, 'trader',
+                    `Trader "${q.trader}" has no entry in "traders" and gets a generated colour`);
+            });
+        }
+
+        return split(findings);
+    }
+
+    // "traders" and "groups" map a name to { color?, icon?, description?, order? };
+    // a group's `requires` lists the quests that open it
+    function validateSection(dataset, key, byId, report) {
+        const section = dataset[key];
+        if (section === undefined) return;
+        if (typeOf(section) !== 'object') {
+            report('error', 'wrong-type', null, key, `"${key}" should be an object keyed by name, got ${typeOf(section)}`);
+            return;
+        }
+
+        const used = new Set([...byId.values()].map(q => key === 'traders' ? q.trader : q.group));
+        Object.entries(section).forEach(([name, entry]) => {
+            const at = `${key}.${name}`;
+            if (typeOf(entry) !== 'object') {
+                report('error', 'wrong-type', null, at, `"${at}" should be an object, got ${typeOf(entry)}`);
+                return;
+            }
+            if (!used.has(name)) {
+                report('warning', 'unused-entry', null, at, `No quest has ${key === 'traders' ? 'trader' : 'group'} "${name}"`);
+            }
+
+            Object.entries(entry).forEach(([field, value]) => {
+                const where = `${at}.${field}`;
+                const actual = typeOf(value);
+                if (!SECTION_FIELDS[key].includes(field)) {
+                    report('warning', 'unknown-field', null, where, `Unknown field "${field}" (use ${SECTION_FIELDS[key].join(', ')})`);
+                } else if (field === 'color' && !(actual === 'string' && COLOR.test(value))) {
+                    report('error', 'wrong-type', null, where, `"${where}" should be a hex colour like #39c5cf`);
+                } else if (field === 'order' && !(actual === 'number' && isFinite(value))) {
+                    report('error', 'wrong-type', null, where, `"${where}" should be number, got ${actual}`);
+                } else if ((field === 'icon' || field === 'description') && actual !== 'string') {
+                    report('error', 'wrong-type', null, where, `"${where}" should be string, got ${actual}`);
+                } else if (field === 'requires' && actual !== 'array') {
+                    report('error', 'wrong-type', null, where, `"${where}" should be array, got ${actual}`);
+                } else if (field === 'requires') {
+                    value.forEach((id, j) => {
+                        if (byId.has(id)) return;
+                        const hint = typeof id === 'string' ? suggest(id, [...byId.keys()]) : null;
+                        report('error', 'unknown-prerequisite', null, `${where}[${j}]`,
+                            `Unknown quest "${id}" required by group "${name}"${hint ? ` (did you mean "${hint}"?)` : ''}`);
+                    });
+                }
+            });
+        });
+    }
+
+    function split(findings) {
+        return {
+            errors: findings.filter(f => f.severity === 'error'),
+            warnings: findings.filter(f => f.severity === 'warning')
+        };
+    }
+
+    // Each cycle is reported once, as the id path that closes it
+    function findCycles(byId, prereqsOf) {
+        const cycles = [];
+        const state = new Map();
+        const stack = [];
+
+        byId.forEach((_, start) => {
+            if (state.has(start)) return;
+
+            const frames = [{ id: start, next: 0, deps: prereqsOf(byId.get(start)) }];
+            state.set(start, 1);
+            stack.push(start);
+
+            while (frames.length > 0) {
+                const frame = frames[frames.length - 1];
+                const dep = frame.deps[frame.next++];
+
+                if (dep === undefined) {
+                    state.set(frame.id, 2);
+                    stack.pop();
+                    frames.pop();
+                } else if (state.get(dep) === 1) {
+                    // Prerequisites point backwards, so reverse to read in unlock order
+                    cycles.push(stack.slice(stack.indexOf(dep)).concat(dep).reverse());
+                } else if (!state.has(dep) && byId.has(dep)) {
+                    state.set(dep, 1);
+                    stack.push(dep);
+                    frames.push({ id: dep, next: 0, deps: prereqsOf(byId.get(dep)) });
+                }
+            }
+        });
+
+        return cycles;
+    }
+
+    // Quests that can be completed starting from no progress at all
+    function findReachable(byId, prereqsOf) {
+        const done = new Set();
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            byId.forEach(q => {
+                if (done.has(q.id)) return;
+                if (prereqsOf(q).every(p => done.has(p))) {
+                    done.add(q.id);
+                    changed = true;
+                }
+            });
+        }
+
+        return done;
+    }
+
+    function countDependents(id, byId, prereqsOf) {
+        const found = new Set([id]);
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            byId.forEach(q => {
+                if (!found.has(q.id) && prereqsOf(q).some(p => found.has(p))) {
+                    found.add(q.id);
+                    changed = true;
+                }
+            });
+        }
+
+        return found.size - 1;
+    }
+
+    // Closest id by edit distance, if it is close enough to be a typo
+    function suggest(id, ids) {
+        let best = null;
+        let bestDistance = Math.max(2, Math.floor(id.length / 4)) + 1;
+        ids.forEach(candidate => {
+            const d = QuestQuery.editDistance(id, candidate);
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        });
+        return best;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // REPORTING
+    // ═══════════════════════════════════════════════════════════════
+
+    function formatReport(result, source = 'quests.json') {
+        const all = result.errors.concat(result.warnings);
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const lines = [`${source}: ${plural(result.errors.length, 'error')}, ${plural(result.warnings.length, 'warning')}`];
+
+        all.forEach(f => {
+            const where = [f.questId, f.field].filter(Boolean).join(' · ');
+            lines.push(`  ${f.severity.padEnd(8)} ${f.code.padEnd(21)} ${where}`);
+            lines.push(`           ${f.message}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    // Node entry point
+    function main(args) {
+        const fs = require('fs');
+        const path = require('path');
+
+        const tradersAt = args.indexOf('--traders');
+        const traders = tradersAt >= 0 ? args.splice(tradersAt, 2)[1] : null;
+        const file = args[0] || path.join(__dirname, '..', 'data', 'quests.json');
+
+        let dataset;
+        try {
+            dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            console.error(`${file}: ${err.message}`);
+            process.exitCode = 2;
+            return;
+        }
+
+        const options = {};
+        if (traders !== null) options.traders = traders.split(',').map(t => t.trim()).filter(Boolean);
+
+        const result = validate(dataset, options);
+        console.log(formatReport(result, path.basename(file)));
+        process.exitCode = result.errors.length > 0 ? 1 : 0;
+    }
+
+    return { validate, formatReport, parseSchema, main };
+});
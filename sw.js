@@ -0,0 +1,90 @@
+// Arc Raiders Quest Graph — Service worker
+// Precaches the app shell and the dataset, then serves same-origin requests
+// stale-while-revalidate. When a revalidated quests.json carries a different
+// meta.version or meta.generated, open pages are told so they can reload.
+// Bump CACHE when the precache list changes.
+
+const CACHE = 'arcraiders-v9';
+const DATA_PATH = 'data/quests.json';
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/styles.css',
+    'js/layout.js',
+    'js/query.js',
+    'js/validate.js',
+    'js/objectives.js',
+    'js/diff.js',
+    'js/sources.js',
+    'js/stress.js',
+    'js/markup.js',
+    'js/render-svg.js',
+    'js/render-canvas.js',
+    'js/app.js',
+    DATA_PATH
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    event.respondWith(staleWhileRevalidate(event, url.pathname.endsWith(DATA_PATH)));
+});
+
+async function staleWhileRevalidate(event, isData) {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    // The cached body goes to the page, so keep a copy to compare against
+    const previous = cached && isData ? cached.clone() : null;
+    
+    const update = fetch(event.request).then(async response => {
+        if (response.ok) {
+            // Stored first so a page reloading on the notice gets the new copy
+            const fresh = response.clone();
+            await cache.put(event.request, response.clone());
+            if (previous) await notifyIfChanged(previous, fresh);
+        }
+        return response;
+    });
+    
+    if (!cached) return update;
+    
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+async function notifyIfChanged(previous, fresh) {
+    let before, after;
+    try {
+        [before, after] = (await Promise.all([previous.json(), fresh.json()])).map(d => d.meta || {});
+    } catch (err) {
+        return;
+    }
+    if (before.version === after.version && before.generated === after.generated) return;
+    
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({
+        type: 'data-updated',
+        version: after.version,
+        generated: after.generated
+    }));
+}
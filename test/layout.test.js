@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeLayout, DEFAULTS } = require('../js/layout.js');
+const data = require('../data/quests.json');
+
+const quest = (id, ...prerequisites) => ({ id, prerequisites });
+
+// Layer of each quest, read back from the layers the layout returns
+function layerOf(result) {
+    const layers = new Map();
+    result.layers.forEach((layer, i) => layer.forEach(id => layers.set(id, i)));
+    return layers;
+}
+
+test('lays out the bundled quests without crossings', () => {
+    const result = computeLayout(data.quests);
+
+    assert.equal(result.crossings, 0);
+    assert.deepEqual(result.cycles, []);
+    assert.equal(result.positions.size, data.quests.length);
+});
+
+test('places every bundled quest below its prerequisites', () => {
+    const result = computeLayout(data.quests);
+    const layers = layerOf(result);
+
+    data.quests.forEach(q => q.prerequisites.forEach(p => {
+        assert.ok(layers.get(p) < layers.get(q.id), `${p} should sit above ${q.id}`);
+        assert.ok(result.positions.get(p).y < result.positions.get(q.id).y);
+    }));
+});
+
+test('puts each bundled quest in exactly one layer', () => {
+    const ids = computeLayout(data.quests).layers.flat();
+
+    assert.equal(ids.length, data.quests.length);
+    assert.deepEqual(new Set(ids), new Set(data.quests.map(q => q.id)));
+});
+
+test('keeps neighbours in a layer at least nodeSpacing apart', () => {
+    const result = computeLayout(data.quests);
+
+    result.layers.forEach(layer => {
+        const xs = layer.map(id => result.positions.get(id).x).sort((a, b) => a - b);
+        xs.slice(1).forEach((x, i) => assert.ok(x - xs[i] >= DEFAULTS.nodeSpacing - 1e-9));
+    });
+});
+
+test('swaps the axes for the horizontal orientation', () => {
+    const vertical = computeLayout(data.quests);
+    const horizontal = computeLayout(data.quests, { orientation: 'horizontal' });
+
+    assert.equal(horizontal.orientation, 'horizontal');
+    vertical.positions.forEach((pos, id) => {
+        assert.deepEqual(horizontal.positions.get(id), { x: pos.y, y: pos.x });
+    });
+});
+
+test('returns an empty layout for no quests', () => {
+    const result = computeLayout([]);
+
+    assert.equal(result.positions.size, 0);
+    assert.deepEqual(result.edges, []);
+    assert.deepEqual(result.layers, []);
+    assert.deepEqual(result.cycles, []);
+    assert.equal(result.crossings, 0);
+});
+
+test('reports a cycle and reverses an edge to break it', () => {
+    const result = computeLayout([quest('a', 'c'), quest('b', 'a'), quest('c', 'b')]);
+
+    assert.equal(result.cycles.length, 1);
+    assert.deepEqual(new Set(result.cycles[0]), new Set(['a', 'b', 'c']));
+    assert.equal(result.edges.filter(e => e.reversed).length, 1);
+    assert.equal(result.layers.length, 3);
+    result.positions.forEach(pos => assert.ok(Number.isFinite(pos.x) && Number.isFinite(pos.y)));
+});
+
+test('drops a quest that requires itself', () => {
+    const result = computeLayout([quest('a', 'a'), quest('b', 'a')]);
+
+    assert.deepEqual(result.cycles, [['a']]);
+    assert.deepEqual(result.edges.map(e => [e.from, e.to]), [['a', 'b']]);
+});
+
+test('lays out disconnected parts side by side', () => {
+    const result = computeLayout([
+        quest('a'), quest('b', 'a'),
+        quest('x'), quest('y', 'x'),
+        quest('alone')
+    ]);
+    const layers = layerOf(result);
+
+    assert.equal(result.crossings, 0);
+    assert.ok(layers.get('a') < layers.get('b'));
+    assert.ok(layers.get('x') < layers.get('y'));
+
+    const seen = new Set();
+    result.positions.forEach(pos => {
+        const key = `${pos.x},${pos.y}`;
+        assert.ok(!seen.has(key), `two quests share ${key}`);
+        seen.add(key);
+    });
+});
+
+test('ignores unknown prerequisites and repeated ids', () => {
+    const result = computeLayout([quest('a', 'missing'), quest('b', 'a', 'a'), quest('a')]);
+
+    assert.equal(result.positions.size, 2);
+    assert.deepEqual(result.edges.map(e => [e.from, e.to]), [['a', 'b']]);
+});
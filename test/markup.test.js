@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escape, raw, html, join, rich } = require('../js/markup.js');
+
+const questNames = new Map([['first_steps', 'First Steps'], ['evil', '<img src=x onerror=alert(1)>']]);
+const questName = id => questNames.get(id) || null;
+
+test('escape replaces the five HTML special characters', () => {
+    assert.equal(escape(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.equal(escape('plain text'), 'plain text');
+    assert.equal(escape(42), '42');
+});
+
+test('html escapes interpolated values but not the template', () => {
+    const name = '<script>alert(1)</script>';
+    assert.equal(String(html`<b class="x">${name}</b>`), '<b class="x">&lt;script&gt;alert(1)&lt;/script&gt;</b>');
+});
+
+test('html escapes quotes inside attributes', () => {
+    assert.equal(String(html`<input value="${'"><img src=x>'}">`), '<input value="&quot;&gt;&lt;img src=x&gt;">');
+});
+
+test('html prints nothing for null, undefined and false', () => {
+    assert.equal(String(html`[${null}${undefined}${false}]`), '[]');
+    assert.equal(String(html`[${0}${''}]`), '[0]');
+});
+
+test('html renders arrays element by element', () => {
+    const items = ['<a>', '<b>'].map(v => html`<li>${v}</li>`);
+    assert.equal(String(html`<ul>${items}</ul>`), '<ul><li>&lt;a&gt;</li><li>&lt;b&gt;</li></ul>');
+});
+
+test('html and raw output is not escaped twice', () => {
+    const inner = html`<i>${'a & b'}</i>`;
+    assert.equal(String(html`<p>${inner}${raw('<br>')}</p>`), '<p><i>a &amp; b</i><br></p>');
+});
+
+test('join escapes values and the separator', () => {
+    assert.equal(String(join(['<a>', html`<b>x</b>`])), '&lt;a&gt;, <b>x</b>');
+    assert.equal(String(join(['a', 'b'], ' < ')), 'a &lt; b');
+    assert.equal(String(join([])), '');
+});
+
+test('rich renders bold, item and quest references', () => {
+    assert.equal(
+        String(rich('Bring **3 [[Wires]]** after {{first_steps}}', { questName })),
+        'Bring <strong>3 <span class="item-ref">Wires</span></strong> after ' +
+        '<a class="quest-ref" href="#q=first_steps" data-id="first_steps">First Steps</a>'
+    );
+});
+
+test('rich leaves unknown quest references as typed', () => {
+    assert.equal(String(rich('See {{nowhere}}', { questName })), 'See {{nowhere}}');
+    assert.equal(String(rich('See {{first_steps}}')), 'See {{first_steps}}');
+});
+
+test('rich escapes everything outside the subset', () => {
+    assert.equal(
+        String(rich('<img src=x> **<b>** [[<i>]] {{evil}}', { questName })),
+        '&lt;img src=x&gt; <strong>&lt;b&gt;</strong> <span class="item-ref">&lt;i&gt;</span> ' +
+        '<a class="quest-ref" href="#q=evil" data-id="evil">&lt;img src=x onerror=alert(1)&gt;</a>'
+    );
+});
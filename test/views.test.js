@@ -0,0 +1,172 @@
+'use strict';
+
+// Loads index.html in jsdom with a dataset whose every name carries markup,
+// then opens each view and checks the markup came out as text.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const EVIL = `"'><img class="pwn" src="x">`;
+const evil = text => text ? `${EVIL}${text}` : text;
+
+function buildDataset(dataText) {
+    const dataset = JSON.parse(dataText);
+    const rename = section => Object.fromEntries(Object.entries(section || {}).map(([name, entry]) => [evil(name), entry]));
+
+    dataset.traders = rename(dataset.traders);
+    dataset.groups = rename(dataset.groups);
+    dataset.quests.forEach(q => {
+        q.name = evil(q.name);
+        q.trader = evil(q.trader);
+        q.group = evil(q.group);
+        q.requiredLocations = q.requiredLocations.map(evil);
+        q.objectives = q.objectives.map(o => typeof o === 'string' ? evil(o) : { ...o, text: evil(o.text) });
+        q.rewards = q.rewards.map(r => ({ ...r, name: evil(r.name) }));
+    });
+    return JSON.stringify(dataset, null, 2);
+}
+
+// Scripts are inlined so they run as the page parses, before DOMContentLoaded
+function loadApp(dataText) {
+    const page = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(
+        /<script src="([^"]+)"><\/script>/g,
+        (tag, src) => `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`
+    );
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', err => errors.push(err));
+
+    const dom = new JSDOM(page, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            const profiles = { active: 'default', list: [{ id: 'default', name: evil('Main') }, { id: 'alt', name: evil('Alt') }] };
+            window.localStorage.setItem('arcraiders.profiles.v1', JSON.stringify(profiles));
+            window.localStorage.setItem('arcraiders.progress.v1.alt', JSON.stringify({ version: 1, completed: [], objectives: {} }));
+            // An overlay whose bad entry names it in a merge finding
+            const overlay = { name: evil('overlay.json'), role: 'overlay', text: JSON.stringify({ quests: [{ id: 'x', $op: 'bogus' }] }) };
+            window.localStorage.setItem('arcraiders.sources.v1', JSON.stringify([overlay]));
+            // The unmodified data as the last visit, so the Changes view has every quest renamed
+            window.localStorage.setItem('arcraiders.snapshot.v1', dataText);
+
+            window.fetch = async () => new Response(buildDataset(dataText));
+            window.structuredClone = structuredClone;
+            window.print = () => {};
+            window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+            window.SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 1000, height: 800 });
+            window.Element.prototype.scrollIntoView = () => {};
+            window.HTMLCanvasElement.prototype.getContext = () => null;
+        }
+    });
+    return { window: dom.window, errors };
+}
+
+function waitFor(check, timeout = 5000) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) resolve();
+            else if (Date.now() - start > timeout) reject(new Error('Timed out waiting for the app'));
+            else setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+const { window, errors } = loadApp(fs.readFileSync(path.join(ROOT, 'data', 'quests.json'), 'utf8'));
+const { document } = window;
+
+test.before(() => waitFor(() => document.querySelector('#questList .quest')));
+test.after(() => window.close());
+
+// No element came from the names, and at least one name showed up as text
+function assertEscaped(root) {
+    assert.equal(root.querySelectorAll('.pwn').length, 0, 'markup in a name became an element');
+    assert.ok(root.textContent.includes(EVIL) || [...root.querySelectorAll('input, option')].some(el => el.value.includes(EVIL)),
+        'no name was rendered');
+}
+
+function showView(view) {
+    document.querySelector(`#sidebarTabs .tab[data-view="${view}"]`).click();
+    return document.querySelector(`.sidebar-view[data-view="${view}"]`);
+}
+
+test('loads without errors', () => {
+    assert.deepEqual(errors.map(err => err.message), []);
+});
+
+test('escapes names in the quest list and legend', () => {
+    assertEscaped(showView('quests'));
+    assertEscaped(document.getElementById('legendTraders'));
+});
+
+for (const view of ['next', 'items', 'rewards', 'locations', 'squad', 'changes']) {
+    test(`escapes names in the ${view} view`, () => {
+        assertEscaped(showView(view));
+    });
+}
+
+test('escapes names in the route view', () => {
+    const input = document.getElementById('routeTarget');
+    input.value = document.querySelector('#questList .quest:last-child .name').textContent;
+    input.dispatchEvent(new window.Event('change'));
+    assertEscaped(showView('route'));
+});
+
+test('escapes names in the details panel', () => {
+    document.querySelector('#questList .quest').click();
+    assertEscaped(document.getElementById('panelBody'));
+});
+
+test('escapes names in the editor form', () => {
+    document.getElementById('editBtn').click();
+    const node = document.querySelector('.node[data-id="trash_into_treasure"]');
+    node.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assertEscaped(document.getElementById('panelBody'));
+    document.getElementById('editBtn').click();
+});
+
+test('escapes names in the profile picker, list and diff', () => {
+    assertEscaped(document.getElementById('profileSelect'));
+    document.getElementById('profilesBtn').click();
+    assertEscaped(document.getElementById('profileList'));
+    document.getElementById('diffB').value = 'alt';
+    document.getElementById('compareProfiles').click();
+    assertEscaped(document.getElementById('profileDiff'));
+    document.getElementById('closeProfiles').click();
+});
+
+test('escapes names in the squad profile picker', () => {
+    const select = document.getElementById('addSquadProfile');
+    assertEscaped(select);
+    select.value = 'alt';
+    select.dispatchEvent(new window.Event('change'));
+    assertEscaped(showView('squad'));
+});
+
+test('escapes names in the sources list and merge findings', () => {
+    document.getElementById('sourcesBtn').click();
+    assertEscaped(document.getElementById('sourceList'));
+    assertEscaped(document.getElementById('sourceFindings'));
+    document.getElementById('closeSources').click();
+});
+
+test('escapes names in the printed checklist', () => {
+    document.getElementById('printChecklist').click();
+    assertEscaped(document.getElementById('printArea'));
+});
+
+test('escapes names in the command palette', () => {
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'k', ctrlKey: true, bubbles: true }));
+    const input = document.getElementById('paletteInput');
+    input.value = 'img';
+    input.dispatchEvent(new window.Event('input'));
+    assert.ok(document.querySelectorAll('#paletteList mark').length > 0);
+    assertEscaped(document.getElementById('paletteList'));
+});